@@ -3,4 +3,16 @@ import prettier from 'eslint-config-prettier';
 import apify from '@apify/eslint-config/js.js';
 
 // eslint-disable-next-line import/no-default-export
-export default [{ ignores: ['**/dist'] }, ...apify, prettier];
+export default [
+    { ignores: ['**/dist'] },
+    ...apify,
+    prettier,
+    {
+        rules: {
+            // Extractors and enrichers annotate the product records they are passed
+            'no-param-reassign': ['error', { props: false }],
+            // Apollo cache fields
+            'no-underscore-dangle': ['error', { allow: ['__typename', '__ref'] }],
+        },
+    },
+];
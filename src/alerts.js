@@ -0,0 +1,135 @@
+// Price alert rules evaluated against saved records and their previous observation
+
+import { hasProductId } from './identity.js';
+
+export const ALERT_TYPES = {
+    PRICE_DROP: 'price_drop',
+    PRICE_RISE: 'price_rise',
+    PRICE_CHANGE: 'price_change',
+    BACK_IN_STOCK: 'back_in_stock',
+};
+
+const TYPE_ALIASES = {
+    drop: ALERT_TYPES.PRICE_DROP,
+    drops: ALERT_TYPES.PRICE_DROP,
+    rise: ALERT_TYPES.PRICE_RISE,
+    rises: ALERT_TYPES.PRICE_RISE,
+    change: ALERT_TYPES.PRICE_CHANGE,
+    restock: ALERT_TYPES.BACK_IN_STOCK,
+    in_stock: ALERT_TYPES.BACK_IN_STOCK,
+};
+
+/**
+ * Lower-cased words of a matcher string
+ */
+function words(text) {
+    return String(text).toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Threshold input as a non-negative number, null when not set
+ */
+function toThreshold(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return Number.isFinite(+value) ? Math.abs(+value) : null;
+}
+
+/**
+ * Normalize the alertRules input; rules with an unknown type are dropped
+ */
+export function normalizeAlertRules(rules) {
+    if (!Array.isArray(rules)) return [];
+    const normalized = [];
+    rules.forEach((rule, i) => {
+        if (!rule || typeof rule !== 'object') return;
+        const rawType = String(rule.type || ALERT_TYPES.PRICE_CHANGE).trim().toLowerCase().replace(/[\s-]+/g, '_');
+        const type = Object.values(ALERT_TYPES).includes(rawType) ? rawType : TYPE_ALIASES[rawType];
+        if (!type) return;
+
+        const productId = rule.product_id ?? rule.productId;
+        normalized.push({
+            name: rule.name ? String(rule.name) : `rule-${i + 1}`,
+            type,
+            product_ids: productId === undefined || productId === null
+                ? null
+                : (Array.isArray(productId) ? productId : [productId]).map(String),
+            product_words: rule.product ? words(rule.product) : null,
+            category_words: rule.category ? words(rule.category) : null,
+            retailer: rule.retailer ? String(rule.retailer).toLowerCase() : null,
+            zipcode: rule.zipcode ? String(rule.zipcode) : null,
+            threshold: toThreshold(rule.threshold),
+            threshold_percent: toThreshold(rule.threshold_percent ?? rule.thresholdPercent),
+        });
+    });
+    return normalized;
+}
+
+/**
+ * Does a product fall under a rule's product / category / location matchers?
+ */
+export function ruleMatchesProduct(rule, product) {
+    if (!product) return false;
+    if (rule.product_ids && !rule.product_ids.some(id => hasProductId(product, id))) return false;
+    if (rule.product_words) {
+        const name = String(product.name || '').toLowerCase();
+        if (!rule.product_words.every(w => name.includes(w))) return false;
+    }
+    if (rule.category_words) {
+        const category = [product.category_path, product.category, product.subcategory].filter(Boolean).join(' ').toLowerCase();
+        if (!rule.category_words.every(w => category.includes(w))) return false;
+    }
+    if (rule.retailer && String(product.retailer || '').toLowerCase() !== rule.retailer) return false;
+    if (rule.zipcode && String(product.zipcode || '') !== rule.zipcode) return false;
+    return true;
+}
+
+/**
+ * Does a price change pass the rule's direction and thresholds? Both thresholds must hold when set.
+ */
+function priceTriggers(rule, change, changePercent) {
+    if (!change) return false;
+    if (rule.type === ALERT_TYPES.PRICE_DROP && change > 0) return false;
+    if (rule.type === ALERT_TYPES.PRICE_RISE && change < 0) return false;
+    if (rule.threshold !== null && Math.abs(change) < rule.threshold) return false;
+    if (rule.threshold_percent !== null && (changePercent === null || Math.abs(changePercent) < rule.threshold_percent)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Alerts fired by a record with price history applied (previous_price, price_change...)
+ * and its previous history entry
+ */
+export function evaluateAlertRules(rules, product, previous, now = new Date().toISOString()) {
+    const alerts = [];
+    for (const rule of rules) {
+        if (!ruleMatchesProduct(rule, product)) continue;
+
+        const triggered = rule.type === ALERT_TYPES.BACK_IN_STOCK
+            ? previous?.in_stock === false && product.in_stock === true
+            : priceTriggers(rule, product.price_change, product.price_change_percent);
+        if (!triggered) continue;
+
+        alerts.push({
+            rule: rule.name,
+            type: rule.type,
+            product_id: product.product_id || null,
+            name: product.name || null,
+            retailer: product.retailer || null,
+            zipcode: product.zipcode || null,
+            category_path: product.category_path || null,
+            product_url: product.product_url || null,
+            previous_price: product.previous_price ?? null,
+            price: product.price ?? null,
+            price_change: product.price_change ?? null,
+            price_change_percent: product.price_change_percent ?? null,
+            previous_in_stock: previous?.in_stock ?? null,
+            in_stock: product.in_stock ?? null,
+            threshold: rule.threshold,
+            threshold_percent: rule.threshold_percent,
+            timestamp: now,
+        });
+    }
+    return alerts;
+}
@@ -0,0 +1,308 @@
+// PRIORITY 1: product extraction from Instacart's Apollo GraphQL state (node-apollo-state)
+import { log } from 'apify';
+
+import { extractAvailabilityFromApollo, isInStock } from './availability.js';
+import { detectCurrency, siteOrigin } from './locale.js';
+import { normalizeGtin } from './matching.js';
+import { addPromotionPricing, extractPromotionsFromApollo } from './promotions.js';
+import { addUnitPricing } from './units.js';
+import { cleanImageUrl, decodeHtmlEntities, parsePrice, toAbs } from './utils.js';
+
+// Which part of the page a record was found in (`extraction_strategy`)
+export const EXTRACTION_STRATEGIES = {
+    TAXONOMY: 'taxonomy_products',
+    SEARCH: 'search_results',
+    ENTITY: 'entity_keys',
+    ROOT_QUERY: 'root_query',
+    GRAPHQL_ITEMS: 'graphql_items',
+    HTML: 'html_cards',
+    JSON_LD: 'json_ld',
+};
+
+/**
+ * PRIORITY 1: Extract from Apollo GraphQL state (node-apollo-state)
+ */
+export function extractApolloState($) {
+    try {
+        const apolloScript = $('script#node-apollo-state');
+        if (!apolloScript.length) {
+            log.info('⚠️ Apollo state script not found in page');
+            return null;
+        }
+
+        let rawData = apolloScript.html() || apolloScript.text() || '';
+        log.info(`📊 Apollo script found, raw length: ${rawData.length} chars`);
+
+        if (!rawData || rawData.length < 100) {
+            log.warning('Apollo state is empty or too short');
+            return null;
+        }
+
+        // Step 1: Decode URL encoding first (handles %7B, %22, etc.)
+        if (rawData.includes('%7B') || rawData.includes('%22')) {
+            try {
+                rawData = decodeURIComponent(rawData);
+                log.debug('URL decoding applied to Apollo state');
+            } catch {
+                log.debug('URL decoding not needed or failed, continuing...');
+            }
+        }
+
+        // Step 2: Decode HTML entities
+        const decodedData = decodeHtmlEntities(rawData);
+
+        // Try to find JSON object boundaries
+        let jsonString = decodedData.trim();
+        if (!jsonString.startsWith('{')) {
+            const jsonMatch = jsonString.match(/\{[\s\S]*\}/);
+            if (jsonMatch) {
+                jsonString = jsonMatch[0];
+            }
+        }
+
+        if (jsonString && jsonString.startsWith('{')) {
+            const parsed = JSON.parse(jsonString);
+            const keyCount = Object.keys(parsed).length;
+            log.info(`✅ Apollo state parsed: ${keyCount} top-level keys`);
+
+            // Log sample keys for debugging
+            const sampleKeys = Object.keys(parsed).slice(0, 5);
+            log.debug(`Sample Apollo keys: ${sampleKeys.join(', ')}`);
+
+            return parsed;
+        }
+
+        log.warning('Apollo state does not contain valid JSON');
+    } catch (e) {
+        log.warning(`Apollo state parsing failed: ${e.message}`);
+        log.debug(`Error details: ${e.stack?.slice(0, 200)}`);
+    }
+    return null;
+}
+
+/**
+ * Extract products dynamically from Apollo cache
+ * Handles Instacart's nested LandingTaxonomyProducts structure
+ */
+export function extractProductsFromApollo(apolloData, baseUrl) {
+    const products = [];
+    if (!apolloData || typeof apolloData !== 'object') return products;
+
+    // Keep records that have an identity, tagged with the strategy that found them
+    const keep = (product, strategy) => {
+        if (product.name || product.product_id) {
+            product.extraction_strategy = strategy;
+            products.push(product);
+        }
+    };
+
+    try {
+        // Strategy 1: Look for LandingTaxonomyProducts keys (Instacart's structure)
+        for (const [key, value] of Object.entries(apolloData)) {
+            if (!value || typeof value !== 'object') continue;
+
+            // Handle LandingTaxonomyProducts structure
+            if (key.startsWith('LandingTaxonomyProducts:') || key.includes('TaxonomyProducts')) {
+                log.debug(`Found taxonomy products key: ${key}`);
+
+                // Value is an object with query parameters as keys
+                for (const queryData of Object.values(value)) {
+                    if (!queryData || typeof queryData !== 'object') continue;
+
+                    // Look for landingTaxonomyProducts.products
+                    const productsArray = queryData?.landingTaxonomyProducts?.products ||
+                        queryData?.products ||
+                        [];
+
+                    if (Array.isArray(productsArray)) {
+                        log.info(`Found ${productsArray.length} products in ${key}`);
+
+                        for (const item of productsArray) {
+                            keep(extractLandingProduct(item, baseUrl), EXTRACTION_STRATEGIES.TAXONOMY);
+                        }
+                    }
+                }
+            }
+
+            // Handle search results (SearchResultsPlacements and similar search item lists)
+            if (key.startsWith('Search') || key.includes('SearchResults')) {
+                log.debug(`Found search results key: ${key}`);
+                for (const arr of findProductArrays(value, apolloData)) {
+                    for (const item of arr) {
+                        const product = item?.landingParam
+                            ? extractLandingProduct(item, baseUrl)
+                            : extractProductFields(item, baseUrl);
+                        keep(product, EXTRACTION_STRATEGIES.SEARCH);
+                    }
+                }
+            }
+
+            // Also check for direct Product: keys (fallback for other Apollo structures)
+            if (key.startsWith('Product:') || key.startsWith('Item:') ||
+                value.__typename === 'Product' || value.__typename === 'Item') {
+                keep(extractProductFields(value, baseUrl), EXTRACTION_STRATEGIES.ENTITY);
+            }
+        }
+
+        // Strategy 2: Check ROOT_QUERY for product arrays (fallback)
+        const rootQuery = apolloData.ROOT_QUERY || apolloData.root_query || {};
+        for (const queryValue of Object.values(rootQuery)) {
+            if (!queryValue) continue;
+            const productArrays = findProductArrays(queryValue, apolloData);
+            for (const arr of productArrays) {
+                for (const item of arr) {
+                    keep(extractProductFields(item, baseUrl), EXTRACTION_STRATEGIES.ROOT_QUERY);
+                }
+            }
+        }
+
+        log.info(`✅ Apollo extraction: Found ${products.length} products`);
+    } catch (e) {
+        log.warning(`Apollo product extraction error: ${e.message}`);
+    }
+
+    return products;
+}
+
+/**
+ * Extract product from Instacart's LandingLandingProduct structure
+ */
+export function extractLandingProduct(item, baseUrl) {
+    if (!item || typeof item !== 'object') return {};
+
+    const id = item.id || item.productId || null;
+    const name = item.name || item.title || null;
+    const size = item.size || null;
+    const landingParam = item.landingParam || null;
+
+    // Extract image URL from nested structure
+    let imageUrl = null;
+    const templateUrl = item.image?.viewSection?.productImage?.templateUrl ||
+        item.image?.url ||
+        item.imageUrl ||
+        null;
+
+    if (templateUrl) {
+        // Replace {width=}x{height=} placeholders with actual dimensions
+        imageUrl = templateUrl
+            .replace('{width=}', '400')
+            .replace('{height=}', '400')
+            .replace('{width}', '400')
+            .replace('{height}', '400');
+    }
+
+    // Build product URL from landingParam, on the site (instacart.com / .ca) the page came from
+    const origin = siteOrigin(baseUrl);
+    const productSlug = landingParam || id;
+    const productUrl = productSlug ? `${origin}/products/${productSlug}` : null;
+
+    const availability = extractAvailabilityFromApollo(item);
+
+    const originalPrice = item.originalPrice ?? item.price?.originalAmount ?? item.price?.wasAmount ?? null;
+    const gtin = normalizeGtin(item.upc ?? item.gtin ?? item.gtin13 ?? item.ean ?? item.barcode);
+
+    return addPromotionPricing(addUnitPricing({
+        product_id: id,
+        name,
+        price: typeof item.price === 'number' ? item.price : parsePrice(item.price?.amount ?? item.price),
+        original_price: typeof originalPrice === 'number' ? originalPrice : parsePrice(originalPrice),
+        currency: detectCurrency(item.price) || detectCurrency(item),
+        size,
+        gtin,
+        image_url: imageUrl ? cleanImageUrl(imageUrl) : null,
+        product_url: productUrl,
+        in_stock: isInStock(availability),
+        availability,
+        store: 'Instacart',
+        timestamp: new Date().toISOString(),
+        extraction_method: 'apollo_graphql'
+    }), extractPromotionsFromApollo(item));
+}
+
+/**
+ * Recursively find arrays that contain product-like objects
+ */
+function findProductArrays(obj, apolloData, depth = 0) {
+    const results = [];
+    if (depth > 5 || !obj) return results;
+
+    if (Array.isArray(obj)) {
+        // Check if array contains products
+        const hasProducts = obj.some(item =>
+            item && typeof item === 'object' &&
+            (item.__typename === 'Product' || item.__typename === 'Item' ||
+                item.name || item.productId || item.id)
+        );
+        if (hasProducts) {
+            // Resolve Apollo references if needed
+            const resolved = obj.map(item => {
+                if (item && item.__ref && apolloData[item.__ref]) {
+                    return apolloData[item.__ref];
+                }
+                return item;
+            });
+            results.push(resolved);
+        }
+    } else if (typeof obj === 'object') {
+        // Check for Apollo reference
+        if (obj.__ref && apolloData[obj.__ref]) {
+            results.push(...findProductArrays(apolloData[obj.__ref], apolloData, depth + 1));
+        }
+
+        // Recurse into object properties
+        for (const value of Object.values(obj)) {
+            results.push(...findProductArrays(value, apolloData, depth + 1));
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Extract standard fields from a product object
+ */
+export function extractProductFields(product, baseUrl) {
+    if (!product || typeof product !== 'object') return {};
+
+    const id = product.id || product.productId || product.product_id ||
+        product.legacyId || product.sku || null;
+
+    const name = product.name || product.title || product.displayName || null;
+
+    const price = product.price || product.currentPrice ||
+        product.pricing?.price || product.priceString || null;
+
+    const originalPrice = product.originalPrice || product.wasPrice ||
+        product.pricing?.originalPrice || null;
+
+    const imageUrl = product.image?.url || product.imageUrl ||
+        product.primaryImage?.url || product.thumbnail || null;
+
+    const origin = siteOrigin(baseUrl);
+    const productUrl = product.url || product.permalink || product.link ||
+        (product.legacyId ? `${origin}/store/items/item_${product.legacyId}` : null) ||
+        (id ? `${origin}/products/${id}` : null);
+
+    const size = product.size || product.packageSize || product.unitSize || null;
+    const brand = product.brand || product.brandName || null;
+    const gtin = normalizeGtin(product.upc ?? product.gtin ?? product.gtin13 ?? product.ean ?? product.barcode);
+    const availability = extractAvailabilityFromApollo(product);
+
+    return addPromotionPricing(addUnitPricing({
+        product_id: id,
+        name,
+        brand,
+        price: typeof price === 'number' ? price : parsePrice(price),
+        original_price: typeof originalPrice === 'number' ? originalPrice : parsePrice(originalPrice),
+        currency: detectCurrency(product.pricing) || detectCurrency(price) || detectCurrency(product),
+        size,
+        gtin,
+        image_url: imageUrl ? cleanImageUrl(toAbs(imageUrl, baseUrl)) : null,
+        product_url: productUrl ? toAbs(productUrl, baseUrl) : null,
+        in_stock: isInStock(availability),
+        availability,
+        store: 'Instacart',
+        timestamp: new Date().toISOString(),
+        extraction_method: 'apollo_graphql'
+    }), extractPromotionsFromApollo(product));
+}
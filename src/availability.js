@@ -0,0 +1,119 @@
+// Stock availability from Apollo item data and rendered product cards
+
+export const AVAILABILITY = {
+    IN_STOCK: 'in_stock',
+    LOW_STOCK: 'low_stock',
+    OUT_OF_STOCK: 'out_of_stock',
+    UNAVAILABLE: 'unavailable',
+    UNKNOWN: 'unknown',
+};
+
+// Checked in order: "out of stock" and negated labels ("Not in stock", "NOT_AVAILABLE")
+// must win over "in stock" and "available"
+const STOCK_TEXT_PATTERNS = [
+    [AVAILABILITY.UNAVAILABLE, /not (?:available|deliverable|sold) (?:in|at|for|to)\b|unavailable (?:in|for) (?:your|this)|not delivered to|no delivery/],
+    [AVAILABILITY.OUT_OF_STOCK, /out of stock|sold out|no longer available|\bunavailable\b|\bnot (?:in stock|available)\b/],
+    [AVAILABILITY.LOW_STOCK, /low (?:in )?stock|limited (?:stock|availability|quantity)|only \d+ left|few left|\blimited\b/],
+    [AVAILABILITY.IN_STOCK, /in stock|\bavailable\b|many left|\bhigh\b/],
+];
+
+// Stock phrases looked for in a whole card's text, where product names must not match
+const CARD_STOCK_PHRASE = /out of stock|sold out|low (?:in )?stock|only \d+ left|\bnot in stock\b|\bin stock\b/i;
+
+const LOW_STOCK_QUANTITY = 5;
+
+/**
+ * Classify a stock label such as "Many in stock", "lowStock" or "OUT_OF_STOCK"
+ */
+export function classifyStockText(text) {
+    if (typeof text !== 'string' || !text.trim()) return null;
+    const normalized = text
+        .replace(/https?:\/\/schema\.org\//i, '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+    for (const [availability, pattern] of STOCK_TEXT_PATTERNS) {
+        if (pattern.test(normalized)) return availability;
+    }
+    return null;
+}
+
+/**
+ * Availability from an Apollo product/item object
+ */
+export function extractAvailabilityFromApollo(item) {
+    if (!item || typeof item !== 'object') return AVAILABILITY.UNKNOWN;
+    const availability = item.availability && typeof item.availability === 'object' ? item.availability : {};
+
+    // Not deliverable to the pinned location at all
+    if (item.deliveryAvailable === false || item.isDeliverable === false || availability.deliverable === false) {
+        return AVAILABILITY.UNAVAILABLE;
+    }
+
+    // Stock level labels and states
+    const labels = [
+        typeof item.availability === 'string' ? item.availability : null,
+        availability.stockLevel,
+        availability.status,
+        availability.stockStatus,
+        item.stockLevel,
+        item.stockStatus,
+        item.availabilityStatus,
+        item.inventory?.stockLevel,
+        item.viewSection?.stockLevelLabelString,
+    ];
+    for (const label of labels) {
+        const classified = classifyStockText(label);
+        if (classified) return classified;
+    }
+
+    // Explicit flags
+    if (item.outOfStock === true || item.isOutOfStock === true) return AVAILABILITY.OUT_OF_STOCK;
+    const flags = [item.inStock, item.isAvailable, item.available, availability.available, availability.isAvailable, availability.inStock];
+    if (flags.includes(false)) return AVAILABILITY.OUT_OF_STOCK;
+
+    // Stock counts
+    const quantity = [item.quantityAvailable, item.inventory?.quantity, availability.quantity, item.stockLevel]
+        .find(q => typeof q === 'number' && Number.isFinite(q));
+    if (quantity !== undefined) {
+        if (quantity <= 0) return AVAILABILITY.OUT_OF_STOCK;
+        return quantity <= LOW_STOCK_QUANTITY ? AVAILABILITY.LOW_STOCK : AVAILABILITY.IN_STOCK;
+    }
+
+    if (flags.includes(true)) return AVAILABILITY.IN_STOCK;
+
+    // Replacement suggestions without any stock signal mean the item cannot be supplied
+    const replacements = item.replacements || item.replacementSuggestions || item.suggestedReplacements;
+    if (Array.isArray(replacements) && replacements.length) return AVAILABILITY.OUT_OF_STOCK;
+
+    return AVAILABILITY.UNKNOWN;
+}
+
+/**
+ * Availability from a rendered product card
+ */
+export function extractAvailabilityFromCard($el) {
+    const labelled = $el.find('[data-testid*="stock"], [class*="Stock"], [class*="Availability"]').first().text().trim();
+    const phrase = $el.text().replace(/\s+/g, ' ').match(CARD_STOCK_PHRASE);
+    const classified = classifyStockText(labelled) || (phrase ? classifyStockText(phrase[0]) : null);
+    if (classified) return classified;
+
+    const addButton = $el.find('button[aria-label*="Add" i], button[data-testid*="add"]').first();
+    if (addButton.length) {
+        return addButton.attr('disabled') !== undefined || addButton.attr('aria-disabled') === 'true'
+            ? AVAILABILITY.OUT_OF_STOCK
+            : AVAILABILITY.IN_STOCK;
+    }
+    return AVAILABILITY.UNKNOWN;
+}
+
+/**
+ * The in_stock boolean for an availability state, null when unknown
+ */
+export function isInStock(availability) {
+    if (availability === AVAILABILITY.IN_STOCK || availability === AVAILABILITY.LOW_STOCK) return true;
+    if (availability === AVAILABILITY.OUT_OF_STOCK || availability === AVAILABILITY.UNAVAILABLE) return false;
+    return null;
+}
@@ -0,0 +1,161 @@
+// Basket-level Laspeyres price index per (retailer, zipcode)
+
+import { cellKey, hasProductId } from './identity.js';
+import { parseSize } from './units.js';
+import { round } from './utils.js';
+
+export const INDEX_BASE_RECORD_KEY = 'INDEX_BASE';
+
+/**
+ * Normalize the basket input into items with a key, matchers and a weight
+ */
+export function normalizeBasket(basket) {
+    if (!Array.isArray(basket)) return [];
+    const items = [];
+    for (const raw of basket) {
+        const item = typeof raw === 'string' ? { name: raw } : raw;
+        if (!item || typeof item !== 'object') continue;
+
+        const productId = item.product_id ?? item.productId ?? item.id;
+        const name = item.name ? String(item.name).trim() : null;
+        if (!productId && !name) continue;
+
+        const weight = Number.isFinite(+item.weight) && +item.weight > 0 ? +item.weight : 1;
+        const size = item.size ? String(item.size).trim() : null;
+        items.push({
+            key: productId ? `id:${productId}` : `name:${name.toLowerCase()}|${(size || '').toLowerCase()}`,
+            product_id: productId ? String(productId) : null,
+            name,
+            size,
+            weight,
+        });
+    }
+    return items;
+}
+
+/**
+ * Check whether two free-text sizes describe the same package
+ */
+function sameSize(a, b) {
+    if (!a || !b) return false;
+    const parsedA = parseSize(a);
+    const parsedB = parseSize(b);
+    if (parsedA && parsedB) {
+        return parsedA.unit === parsedB.unit
+            && parsedA.per_unit === parsedB.per_unit
+            && Math.abs(parsedA.quantity - parsedB.quantity) < 0.01;
+    }
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Does a product satisfy a basket item's id or name/size matcher?
+ */
+export function matchesBasketItem(item, product) {
+    if (!product) return false;
+    if (item.product_id) return hasProductId(product, item.product_id);
+
+    const productName = String(product.name || '').toLowerCase();
+    const tokens = item.name.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!tokens.length || !tokens.every(t => productName.includes(t))) return false;
+    return item.size ? sameSize(item.size, product.size) : true;
+}
+
+/**
+ * Pick the product that prices a basket item: cheapest in-stock match with a price
+ */
+export function findBasketProduct(item, products) {
+    const priced = products.filter(p => matchesBasketItem(item, p) && typeof p.price === 'number' && p.in_stock !== false);
+    if (!priced.length) return null;
+    return priced.reduce((best, p) => (p.price < best.price ? p : best));
+}
+
+/**
+ * Compute the index for every (retailer, zipcode) cell present in products.
+ * `base` is the stored INDEX_BASE record; the returned `base` includes any
+ * newly established base prices and should be persisted.
+ */
+export function computeBasketIndex(basket, products, base = {}, now = new Date().toISOString()) {
+    const items = normalizeBasket(basket);
+    const nextBase = { ...base };
+    const cells = [];
+
+    const byCell = new Map();
+    for (const product of products) {
+        const key = cellKey(product);
+        if (!byCell.has(key)) byCell.set(key, { retailer: product.retailer || null, zipcode: product.zipcode || null, products: [] });
+        byCell.get(key).products.push(product);
+    }
+
+    for (const [key, cell] of byCell) {
+        const cellBase = nextBase[key]
+            ? { ...nextBase[key], prices: { ...nextBase[key].prices } }
+            : { established_at: now, prices: {} };
+
+        const rows = items.map((item) => {
+            const product = findBasketProduct(item, cell.products);
+            const price = product ? product.price : null;
+            if (price !== null && cellBase.prices[item.key] === undefined) cellBase.prices[item.key] = price;
+            return {
+                item: item.name || item.product_id,
+                item_key: item.key,
+                weight: item.weight,
+                product_id: product?.product_id ?? null,
+                name: product?.name ?? null,
+                price,
+                base_price: cellBase.prices[item.key] ?? null,
+            };
+        });
+
+        // Mean price relative of priced items drives imputation
+        const relatives = rows.filter(r => r.price !== null && r.base_price > 0).map(r => r.price / r.base_price);
+        const meanRelative = relatives.length ? relatives.reduce((a, b) => a + b, 0) / relatives.length : null;
+
+        const missing = [];
+        for (const row of rows) {
+            if (row.price !== null) {
+                row.status = 'priced';
+                row.effective_price = row.price;
+            } else if (row.base_price === null) {
+                row.status = 'excluded';
+                row.effective_price = null;
+                missing.push({ item: row.item, reason: 'never_priced' });
+            } else if (meanRelative !== null) {
+                row.status = 'imputed';
+                row.effective_price = round(row.base_price * meanRelative, 4);
+                missing.push({ item: row.item, reason: 'missing_or_out_of_stock', imputed_price: row.effective_price });
+            } else {
+                row.status = 'unpriced';
+                row.effective_price = null;
+                missing.push({ item: row.item, reason: 'missing_or_out_of_stock' });
+            }
+        }
+
+        const included = rows.filter(r => r.effective_price !== null && r.base_price !== null);
+        const basketCost = included.reduce((sum, r) => sum + r.effective_price * r.weight, 0);
+        const baseCost = included.reduce((sum, r) => sum + r.base_price * r.weight, 0);
+        const hasIndex = meanRelative !== null && baseCost > 0;
+
+        for (const row of rows) {
+            row.contribution = hasIndex && row.effective_price !== null
+                ? round((row.effective_price * row.weight / baseCost) * 100, 4)
+                : null;
+        }
+
+        nextBase[key] = cellBase;
+        cells.push({
+            retailer: cell.retailer,
+            zipcode: cell.zipcode,
+            base_period: cellBase.established_at,
+            basket_cost: hasIndex ? round(basketCost) : null,
+            base_cost: hasIndex ? round(baseCost) : null,
+            index: hasIndex ? round((basketCost / baseCost) * 100) : null,
+            items_priced: rows.filter(r => r.status === 'priced').length,
+            items_imputed: rows.filter(r => r.status === 'imputed').length,
+            items: rows,
+            missing,
+        });
+    }
+
+    return { computed_at: now, items: items.length, cells, base: nextBase };
+}
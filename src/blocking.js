@@ -0,0 +1,64 @@
+// Block and bot-challenge detection for fetched pages
+
+export const BLOCK_STATUS_CODES = [401, 403, 407, 429, 503];
+
+// Pages that do not exist: reported as not found, never retried as blocks
+export const NOT_FOUND_STATUS_CODES = [404, 410];
+
+const CHALLENGE_MARKERS = [
+    { reason: 'captcha', pattern: /g-recaptcha|h-captcha|hcaptcha\.com|px-captcha|captcha-delivery\.com|geo\.captcha/i },
+    {
+        reason: 'bot_challenge',
+        pattern: /cf-chl-|challenge-platform|<title>\s*Just a moment|_Incapsula_Resource|Pardon Our Interruption|verify (?:that )?you are (?:a )?human|are you a robot/i,
+    },
+    { reason: 'access_denied', pattern: /<title>\s*(?:Access Denied|403 Forbidden|Attention Required)/i },
+];
+
+// Content a page without Apollo state can still be parsed from
+const PRODUCT_LINKS = 'a[href*="/products/"], a[href*="/store/items/"]';
+const FALLBACK_CONTENT = {
+    LIST: PRODUCT_LINKS,
+    CATEGORY: `${PRODUCT_LINKS}, a[href*="/categories/"]`,
+    DETAIL: 'script[type="application/ld+json"]',
+};
+
+// Judged by status and challenge markers only: a watched page without the product is what
+// the watchlist reports as missing, GraphQL responses are JSON and fall back on their own
+const UNCHECKED_CONTENT = ['WATCH', 'GRAPHQL', 'GRAPHQL_ITEMS'];
+
+/**
+ * Classify a fetched page. Returns a block reason or null when the page looks genuine.
+ * `$` is the loaded page, `label` the request label (LIST, CATEGORY, DETAIL, WATCH or GRAPHQL).
+ * 404 and 410 pages are not blocks (see NOT_FOUND_STATUS_CODES).
+ */
+export function detectBlock({ statusCode, html, $, label }) {
+    if (BLOCK_STATUS_CODES.includes(statusCode)) return `status_${statusCode}`;
+    if (NOT_FOUND_STATUS_CODES.includes(statusCode)) return null;
+
+    const text = html || typeof html === 'string' ? String(html) : ($?.html() ?? '');
+    for (const { reason, pattern } of CHALLENGE_MARKERS) {
+        if (pattern.test(text)) return reason;
+    }
+
+    // Real pages carry the Apollo state; without it there must at least be something to fall back on
+    if ($ && !UNCHECKED_CONTENT.includes(label) && !$('script#node-apollo-state').length) {
+        if (!$(FALLBACK_CONTENT[label] || FALLBACK_CONTENT.LIST).length) return 'missing_apollo_state';
+    }
+
+    return null;
+}
+
+/**
+ * Error thrown by handlers for blocked pages so the crawler retries with a new session
+ */
+export function blockedError(reason) {
+    return new Error(`Blocked: ${reason}`);
+}
+
+/**
+ * Block reason carried by a crawler error, or null for ordinary failures
+ */
+export function blockReasonFromError(error) {
+    const match = (error?.message || '').match(/^Blocked: (\S+)/);
+    return match ? match[1] : null;
+}
@@ -0,0 +1,272 @@
+// Product detail page parsing: description, ingredients, nutrition, reviews, dietary tags
+import { log } from 'apify';
+
+import { extractApolloState } from './apollo.js';
+import { productIdentifiers } from './identity.js';
+import { normalizeGtin } from './matching.js';
+import { decodeHtmlEntities, toNumber } from './utils.js';
+
+/**
+ * Convert a nutrition label like "Total Fat" to a snake_case key
+ */
+function toSnakeKey(label) {
+    return String(label)
+        .trim()
+        .replace(/([a-z])([A-Z])/g, '$1_$2')
+        .replace(/[^a-zA-Z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Normalize ingredients from a comma separated string or an array
+ */
+export function normalizeIngredients(raw) {
+    if (!raw) return null;
+    const list = Array.isArray(raw)
+        ? raw.map(i => (typeof i === 'string' ? i : i?.name || i?.text || '')).filter(Boolean)
+        // Split on commas that are not inside parentheses
+        : String(raw).replace(/^ingredients:\s*/i, '').split(/,(?![^()]*\))/);
+    const cleaned = list.map(i => decodeHtmlEntities(String(i)).trim().replace(/\.$/, '')).filter(Boolean);
+    return cleaned.length ? cleaned : null;
+}
+
+/**
+ * Normalize nutrition facts from an object or a list of { label, value } rows
+ */
+export function normalizeNutrition(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const nutrition = {};
+
+    const rows = Array.isArray(raw) ? raw : (raw.nutrients || raw.rows || raw.items || null);
+    if (Array.isArray(rows)) {
+        for (const row of rows) {
+            if (!row || typeof row !== 'object') continue;
+            const label = row.label || row.name || row.title;
+            const value = row.value ?? row.amount ?? row.quantity;
+            if (label && value !== undefined && value !== null && value !== '') {
+                nutrition[toSnakeKey(label)] = value;
+            }
+        }
+    }
+
+    if (!Array.isArray(raw)) {
+        for (const [key, value] of Object.entries(raw)) {
+            if (key.startsWith('__') || value === null || typeof value === 'object') continue;
+            nutrition[toSnakeKey(key)] = value;
+        }
+    }
+
+    return Object.keys(nutrition).length ? nutrition : null;
+}
+
+/**
+ * Normalize dietary attributes/badges to lower-case tags
+ */
+export function normalizeDietaryTags(raw) {
+    if (!Array.isArray(raw)) return null;
+    const tags = raw
+        .map(t => (typeof t === 'string' ? t : t?.label || t?.name || t?.text || t?.value || ''))
+        .map(t => String(t).trim().toLowerCase().replace(/\s+/g, '-'))
+        .filter(Boolean);
+    return tags.length ? [...new Set(tags)] : null;
+}
+
+/**
+ * True for an Apollo Item/Product entity
+ */
+function isProductEntity(obj, key = '') {
+    return key.startsWith('Product:') || key.startsWith('Item:') || obj.__typename === 'Product' || obj.__typename === 'Item';
+}
+
+/**
+ * Normalized identifiers of an Apollo entity: its ID, legacy ID and landing slug
+ */
+function entityIdentifiers(entity) {
+    const ids = [entity.id, entity.productId, entity.product_id, entity.landingParam]
+        .filter(id => id !== null && id !== undefined)
+        .flatMap(id => productIdentifiers({ product_id: id }));
+    if (entity.legacyId) ids.push(`item_${entity.legacyId}`);
+    return ids;
+}
+
+/**
+ * The Item/Product entity of the page's product: the one sharing an identifier with
+ * the record, or without a record the only entity in the state
+ */
+export function findProductEntity(apolloData, product = null) {
+    const entities = [];
+    const collect = (obj, key = '', depth = 0) => {
+        if (!obj || typeof obj !== 'object' || depth > 6) return;
+        if (!Array.isArray(obj) && isProductEntity(obj, key)) entities.push(obj);
+        for (const [childKey, value] of Object.entries(obj)) {
+            if (!childKey.startsWith('__')) collect(value, depth === 0 ? childKey : '', depth + 1);
+        }
+    };
+    collect(apolloData);
+
+    const wanted = product ? productIdentifiers(product) : [];
+    if (!wanted.length) return entities.length === 1 ? entities[0] : null;
+    return entities.find(entity => entityIdentifiers(entity).some(id => wanted.includes(id))) || null;
+}
+
+/**
+ * Extract product detail fields (description, nutrition, reviews...) from the Apollo
+ * entity of the product (`product_id` / `product_url`); other entities in the state
+ * (the retailer, related items) are never read
+ */
+export function extractDetailsFromApollo(apolloData, product = null) {
+    const details = {};
+    if (!apolloData || typeof apolloData !== 'object') return details;
+    const entity = findProductEntity(apolloData, product);
+    if (!entity) return details;
+
+    const visit = (obj, depth = 0) => {
+        if (!obj || typeof obj !== 'object' || depth > 6) return;
+        if (Array.isArray(obj)) {
+            for (const item of obj) visit(item, depth + 1);
+            return;
+        }
+        // Related or recommended items nested in the entity carry their own UPCs and ratings
+        if (depth > 0 && isProductEntity(obj)) return;
+
+        const description = obj.description || obj.productDescription || obj.details?.description;
+        if (!details.description && typeof description === 'string' && description.trim().length > 10) {
+            details.description = decodeHtmlEntities(description.trim());
+        }
+
+        const ingredients = obj.ingredients || obj.details?.ingredients;
+        if (!details.ingredients && ingredients) {
+            details.ingredients = normalizeIngredients(ingredients);
+        }
+
+        const nutrition = obj.nutritionalInfo || obj.nutritionFacts || obj.nutrition || obj.details?.nutrition;
+        if (!details.nutrition && nutrition) {
+            details.nutrition = normalizeNutrition(nutrition);
+        }
+
+        const rating = toNumber(obj.ratings?.average ?? obj.averageRating ?? obj.ratingValue ?? obj.rating);
+        if (details.rating === undefined && rating !== null) details.rating = rating;
+
+        const reviewCount = toNumber(obj.ratings?.count ?? obj.reviewCount ?? obj.ratingCount ?? obj.numberOfReviews);
+        if (details.review_count === undefined && reviewCount !== null) details.review_count = reviewCount;
+
+        const gtin = normalizeGtin(obj.upc ?? obj.gtin ?? obj.gtin13 ?? obj.ean ?? obj.barcode);
+        if (!details.gtin && gtin) details.gtin = gtin;
+
+        const dietary = obj.dietaryAttributes || obj.dietaryTags || obj.badges;
+        if (!details.dietary_tags && dietary) {
+            details.dietary_tags = normalizeDietaryTags(dietary);
+        }
+
+        for (const [key, value] of Object.entries(obj)) {
+            if (key.startsWith('__') || !value || typeof value !== 'object') continue;
+            visit(value, depth + 1);
+        }
+    };
+
+    try {
+        visit(entity);
+    } catch (e) {
+        log.debug(`Apollo detail extraction failed: ${e.message}`);
+    }
+
+    return details;
+}
+
+/**
+ * JSON-LD Product objects of a page, one per ld+json block that has one
+ */
+export function findJsonLdProducts($) {
+    const products = [];
+    $('script[type="application/ld+json"]').each((_, el) => {
+        try {
+            const parsed = JSON.parse($(el).html() || '{}');
+            const entries = Array.isArray(parsed) ? parsed : (parsed['@graph'] || [parsed]);
+            const productLd = entries.find(e => e && e['@type'] === 'Product');
+            if (productLd) products.push(productLd);
+        } catch {
+            // Ignore malformed JSON-LD blocks
+        }
+    });
+    return products;
+}
+
+/**
+ * GTIN of a JSON-LD Product, whichever gtin property it uses
+ */
+export function jsonLdGtin(productLd) {
+    return normalizeGtin(productLd.gtin13 ?? productLd.gtin12 ?? productLd.gtin14 ?? productLd.gtin8 ?? productLd.gtin);
+}
+
+/**
+ * HTML fallback for product details: JSON-LD Product markup, then visible sections
+ */
+export function extractDetailsFromHTML($) {
+    const details = {};
+    try {
+        for (const productLd of findJsonLdProducts($)) {
+            if (!details.description && productLd.description) {
+                details.description = decodeHtmlEntities(String(productLd.description).trim());
+            }
+            const gtin = jsonLdGtin(productLd);
+            if (!details.gtin && gtin) details.gtin = gtin;
+            const aggregate = productLd.aggregateRating;
+            if (aggregate) {
+                details.rating = toNumber(aggregate.ratingValue) ?? undefined;
+                details.review_count = toNumber(aggregate.reviewCount ?? aggregate.ratingCount) ?? undefined;
+            }
+        }
+
+        if (!details.description) {
+            const description = $('[data-testid*="description"], [class*="Description"]').first().text().trim() ||
+                $('meta[name="description"]').attr('content');
+            if (description) details.description = description.trim();
+        }
+
+        const ingredientsText = $('[data-testid*="ingredients"], [class*="Ingredients"]').first().text().trim();
+        if (ingredientsText) details.ingredients = normalizeIngredients(ingredientsText);
+
+        const rows = [];
+        $('[data-testid*="nutrition"] tr, [class*="Nutrition"] tr').each((_, el) => {
+            const cells = $(el).find('td, th');
+            if (cells.length >= 2) {
+                rows.push({ label: $(cells[0]).text().trim(), value: $(cells[1]).text().trim() });
+            }
+        });
+        if (rows.length) details.nutrition = normalizeNutrition(rows);
+
+        const tags = [];
+        $('[data-testid*="dietary"], [class*="Dietary"], [class*="Badge"]').each((_, el) => {
+            const text = $(el).text().trim();
+            if (text && text.length < 40) tags.push(text);
+        });
+        if (tags.length) details.dietary_tags = normalizeDietaryTags(tags);
+    } catch (e) {
+        log.debug(`HTML detail extraction failed: ${e.message}`);
+    }
+    return details;
+}
+
+/**
+ * Combine Apollo and HTML detail results honoring includeNutrition / includeReviews;
+ * `product` (its product_id / product_url) picks the page's own Apollo entity
+ */
+export function extractProductDetails($, { includeNutrition = true, includeReviews = true, product = null } = {}) {
+    const apolloDetails = extractDetailsFromApollo(extractApolloState($), product);
+    const htmlDetails = extractDetailsFromHTML($);
+    const pick = (key) => apolloDetails[key] ?? htmlDetails[key] ?? null;
+
+    const details = {
+        description: pick('description'),
+        ingredients: pick('ingredients'),
+        dietary_tags: pick('dietary_tags'),
+        gtin: pick('gtin'),
+    };
+    if (includeNutrition) details.nutrition = pick('nutrition');
+    if (includeReviews) {
+        details.rating = pick('rating');
+        details.review_count = pick('review_count');
+    }
+    return details;
+}
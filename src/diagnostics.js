@@ -0,0 +1,176 @@
+// Apollo schema-drift diagnostics and field fill rates
+
+import { round } from './utils.js';
+
+// Typenames the extractor reads products from
+const KNOWN_PRODUCT_TYPENAMES = new Set(['Product', 'Item', 'LandingLandingProduct']);
+
+// Fields whose fill rate is tracked
+export const FILL_RATE_FIELDS = ['price', 'size', 'brand', 'image_url'];
+
+// Per-page entries kept in full; aggregates cover every page
+const MAX_PAGE_ENTRIES = 200;
+const MAX_WALK_DEPTH = 8;
+
+/**
+ * Does an object look like a product? A name plus a price, size or image.
+ */
+function isProductLike(obj) {
+    const name = obj.name || obj.title || obj.displayName;
+    if (typeof name !== 'string' || !name.trim()) return false;
+    return ['price', 'pricing', 'priceString', 'currentPrice', 'size', 'packageSize', 'image', 'imageUrl', 'landingParam']
+        .some(field => obj[field] !== undefined && obj[field] !== null);
+}
+
+/**
+ * Key prefixes, __typename counts and unknown product-like typenames of an Apollo state
+ */
+export function summarizeApolloState(apolloData) {
+    const keyPrefixes = {};
+    const typenames = {};
+    const unknownProductTypenames = new Set();
+    if (!apolloData || typeof apolloData !== 'object') {
+        return { key_prefixes: keyPrefixes, typenames, unknown_product_typenames: [] };
+    }
+
+    for (const key of Object.keys(apolloData)) {
+        const prefix = key.split(/[:({]/)[0] || key;
+        keyPrefixes[prefix] = (keyPrefixes[prefix] || 0) + 1;
+    }
+
+    const visit = (obj, depth) => {
+        if (!obj || typeof obj !== 'object' || depth > MAX_WALK_DEPTH) return;
+        if (Array.isArray(obj)) {
+            for (const item of obj) visit(item, depth + 1);
+            return;
+        }
+        const typename = obj.__typename;
+        if (typeof typename === 'string') {
+            typenames[typename] = (typenames[typename] || 0) + 1;
+            if (!KNOWN_PRODUCT_TYPENAMES.has(typename) && isProductLike(obj)) unknownProductTypenames.add(typename);
+        }
+        for (const value of Object.values(obj)) visit(value, depth + 1);
+    };
+    visit(apolloData, 0);
+
+    return { key_prefixes: keyPrefixes, typenames, unknown_product_typenames: [...unknownProductTypenames].sort() };
+}
+
+/**
+ * Add counts of one map into another
+ */
+function addCounts(target, counts) {
+    for (const [key, count] of Object.entries(counts)) target[key] = (target[key] || 0) + count;
+}
+
+/**
+ * Collector over a persisted diagnostics object (kept in the crawl state)
+ */
+export function createDiagnostics(data = {}) {
+    const diagnostics = {
+        pages: 0,
+        pages_without_apollo: 0,
+        pages_without_products: 0,
+        key_prefixes: {},
+        typenames: {},
+        unknown_product_typenames: [],
+        strategies: {},
+        records: 0,
+        filled: Object.fromEntries(FILL_RATE_FIELDS.map(f => [f, 0])),
+        page_log: [],
+        ...data,
+    };
+
+    return {
+        data: diagnostics,
+
+        /**
+         * Record what a listing page's Apollo state contained and which strategies produced its products
+         */
+        recordPage({ url, label, apolloData, products }) {
+            const summary = summarizeApolloState(apolloData);
+            const strategies = {};
+            for (const product of products) {
+                const strategy = product.extraction_strategy || 'unknown';
+                strategies[strategy] = (strategies[strategy] || 0) + 1;
+            }
+
+            diagnostics.pages++;
+            if (!apolloData) diagnostics.pages_without_apollo++;
+            if (!products.length) diagnostics.pages_without_products++;
+            addCounts(diagnostics.key_prefixes, summary.key_prefixes);
+            addCounts(diagnostics.typenames, summary.typenames);
+            addCounts(diagnostics.strategies, strategies);
+            diagnostics.unknown_product_typenames = [
+                ...new Set([...diagnostics.unknown_product_typenames, ...summary.unknown_product_typenames]),
+            ].sort();
+
+            if (diagnostics.page_log.length < MAX_PAGE_ENTRIES) {
+                diagnostics.page_log.push({
+                    url,
+                    label,
+                    apollo_found: !!apolloData,
+                    products: products.length,
+                    strategies,
+                    key_prefixes: Object.keys(summary.key_prefixes),
+                    typenames: Object.keys(summary.typenames),
+                    unknown_product_typenames: summary.unknown_product_typenames,
+                });
+            }
+            return summary;
+        },
+
+        /**
+         * Count field fill for saved records
+         */
+        recordRecords(records) {
+            for (const record of records) {
+                diagnostics.records++;
+                for (const field of FILL_RATE_FIELDS) {
+                    const value = record[field];
+                    if (value !== null && value !== undefined && value !== '') diagnostics.filled[field]++;
+                }
+            }
+        },
+    };
+}
+
+/**
+ * Share of saved records with each tracked field set (null before any record)
+ */
+export function computeFillRates(data) {
+    return Object.fromEntries(FILL_RATE_FIELDS.map(field => [
+        field,
+        data.records ? round(data.filled[field] / data.records, 3) : null,
+    ]));
+}
+
+/**
+ * Fields whose fill rate is below its configured minimum (0-1).
+ * With no records at all every configured field is reported.
+ */
+export function checkFillRates(fillRates, thresholds = {}) {
+    const violations = [];
+    for (const [field, raw] of Object.entries(thresholds || {})) {
+        const minimum = +raw;
+        if (!Number.isFinite(minimum) || !(field in fillRates)) continue;
+        const rate = fillRates[field];
+        if (rate === null || rate < minimum) violations.push({ field, fill_rate: rate, minimum });
+    }
+    return violations;
+}
+
+/**
+ * The DIAGNOSTICS record: aggregates, fill rates, threshold violations and the page log
+ */
+export function buildDiagnosticsReport(data, thresholds = {}) {
+    const fillRates = computeFillRates(data);
+    const { page_log: pageLog, ...aggregates } = data;
+    return {
+        ...aggregates,
+        fill_rates: fillRates,
+        fill_rate_thresholds: thresholds || {},
+        violations: checkFillRates(fillRates, thresholds),
+        page_log: pageLog,
+    };
+}
@@ -0,0 +1,50 @@
+// Raw page fixtures for offline replay
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export const FIXTURES_DIR = 'fixtures';
+
+/**
+ * Stable file stem for a URL
+ */
+export function fixtureKey(url) {
+    return createHash('sha1').update(String(url)).digest('hex');
+}
+
+/**
+ * Write a page's HTML and metadata to the fixtures directory
+ */
+export async function saveFixture(dir, url, html, meta = {}) {
+    const key = fixtureKey(url);
+    await mkdir(dir, { recursive: true });
+    await writeFile(path.join(dir, `${key}.html`), html ?? '', 'utf8');
+    await writeFile(
+        path.join(dir, `${key}.json`),
+        JSON.stringify({ url, ...meta, recorded_at: new Date().toISOString() }, null, 2),
+        'utf8',
+    );
+    return key;
+}
+
+/**
+ * Read a recorded page, or null when the URL was never recorded
+ */
+export async function loadFixture(dir, url) {
+    const key = fixtureKey(url);
+    let html;
+    try {
+        html = await readFile(path.join(dir, `${key}.html`), 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+
+    let meta = {};
+    try {
+        meta = JSON.parse(await readFile(path.join(dir, `${key}.json`), 'utf8'));
+    } catch {
+        // Metadata is optional, the HTML alone is enough to replay
+    }
+    return { html, meta };
+}
@@ -0,0 +1,151 @@
+// Direct GraphQL fetch mode: persisted listing queries and batched Items lookups
+
+import { EXTRACTION_STRATEGIES, extractLandingProduct, extractProductFields, extractProductsFromApollo } from './apollo.js';
+
+export const GRAPHQL_ENDPOINT = 'https://www.instacart.com/graphql';
+export const ITEMS_BATCH_SIZE = 30;
+
+const PERSISTED_HASH = /^[0-9a-f]{64}$/i;
+const LISTING_OPERATION = /TaxonomyProducts|CollectionProducts|SearchResults|Placements|ItemsList/i;
+const ITEMS_OPERATION = /^Items$/i;
+
+/**
+ * Parse an Apollo variables key; null when it is not a JSON object
+ */
+function parseVariables(key) {
+    try {
+        const parsed = JSON.parse(key);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Persisted operations cached in an Apollo state: [{ operationName, sha256Hash, variables }]
+ */
+export function discoverOperations(apolloData) {
+    const operations = [];
+    if (!apolloData || typeof apolloData !== 'object') return operations;
+    for (const [key, value] of Object.entries(apolloData)) {
+        const match = key.match(/^([A-Za-z][A-Za-z0-9_]*):([0-9a-f]+)$/i);
+        if (!match || !PERSISTED_HASH.test(match[2]) || !value || typeof value !== 'object') continue;
+        for (const variablesKey of Object.keys(value)) {
+            const variables = parseVariables(variablesKey);
+            if (variables) operations.push({ operationName: match[1], sha256Hash: match[2], variables });
+        }
+    }
+    return operations;
+}
+
+/**
+ * The operations a listing page can be continued with: the product list and the Items lookup
+ */
+export function findGraphqlOperations(apolloData) {
+    const operations = discoverOperations(apolloData);
+    const listing = operations.find(op => LISTING_OPERATION.test(op.operationName)) || null;
+    const items = operations.find(op => ITEMS_OPERATION.test(op.operationName) && Array.isArray(op.variables.ids)) || null;
+    return { listing, items };
+}
+
+/**
+ * GET URL of a persisted query
+ */
+export function buildGraphqlUrl(operation, variables = operation.variables, endpoint = GRAPHQL_ENDPOINT) {
+    const url = new URL(endpoint);
+    url.searchParams.set('operationName', operation.operationName);
+    url.searchParams.set('variables', JSON.stringify(variables));
+    url.searchParams.set('extensions', JSON.stringify({ persistedQuery: { version: 1, sha256Hash: operation.sha256Hash } }));
+    return url.href;
+}
+
+/**
+ * Variables for the page after `pageNo`, or null when the operation has no paging variable
+ */
+export function nextPageVariables(variables, pagination, pageNo) {
+    if (!variables) return null;
+    for (const name of ['after', 'cursor', 'pageCursor']) {
+        if (name in variables) return pagination.cursor ? { ...variables, [name]: pagination.cursor } : null;
+    }
+    if ('page' in variables) return { ...variables, page: pagination.nextPage || pageNo + 1 };
+    if ('pageNumber' in variables) return { ...variables, pageNumber: pagination.nextPage || pageNo + 1 };
+    if ('offset' in variables) {
+        const pageSize = +(variables.first ?? variables.limit ?? variables.pageSize);
+        return Number.isFinite(pageSize) && pageSize > 0 ? { ...variables, offset: (+variables.offset || 0) + pageSize } : null;
+    }
+    return null;
+}
+
+/**
+ * Data of a GraphQL response body; throws on GraphQL errors or a non-JSON body
+ */
+export function parseGraphqlResponse(body) {
+    const text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body ?? '');
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        throw new Error('GraphQL response is not JSON');
+    }
+    if (Array.isArray(parsed?.errors) && parsed.errors.length && !parsed.data) {
+        throw new Error(`GraphQL errors: ${parsed.errors.map(e => e.message || e).join('; ')}`);
+    }
+    if (!parsed?.data || typeof parsed.data !== 'object') throw new Error('GraphQL response has no data');
+    return parsed.data;
+}
+
+/**
+ * Wrap a response as the Apollo state entry the page would have carried
+ */
+export function toApolloState(operation, variables, data) {
+    return { [`${operation.operationName}:${operation.sha256Hash}`]: { [JSON.stringify(variables)]: data } };
+}
+
+/**
+ * Item IDs listed by a response that returns IDs instead of items
+ */
+export function collectItemIds(data) {
+    const ids = new Set();
+    const visit = (obj, depth) => {
+        if (!obj || typeof obj !== 'object' || depth > 6) return;
+        for (const [key, value] of Object.entries(obj)) {
+            if ((key === 'itemIds' || key === 'productIds') && Array.isArray(value)) {
+                value.filter(id => typeof id === 'string' || typeof id === 'number').forEach(id => ids.add(String(id)));
+            } else if (value && typeof value === 'object') {
+                visit(value, depth + 1);
+            }
+        }
+    };
+    visit(data, 0);
+    return [...ids];
+}
+
+/**
+ * Items lookup variables per batch of IDs
+ */
+export function itemBatches(itemsOperation, ids, size = ITEMS_BATCH_SIZE) {
+    const batches = [];
+    for (let i = 0; i < ids.length; i += size) {
+        batches.push({ ...itemsOperation.variables, ids: ids.slice(i, i + size) });
+    }
+    return batches;
+}
+
+/**
+ * Products of a listing response, read by the Apollo extractor
+ */
+export function extractProductsFromGraphql(operation, variables, data, baseUrl) {
+    const apolloData = toApolloState(operation, variables, data);
+    let products = extractProductsFromApollo(apolloData, baseUrl);
+
+    // Item lookups (Items) are not a listing the Apollo strategies know
+    if (!products.length && Array.isArray(data.items)) {
+        products = data.items
+            .filter(item => item && typeof item === 'object')
+            .map(item => (item.landingParam ? extractLandingProduct(item, baseUrl) : extractProductFields(item, baseUrl)))
+            .filter(product => product.name || product.product_id)
+            .map(product => ({ ...product, extraction_strategy: EXTRACTION_STRATEGIES.GRAPHQL_ITEMS }));
+    }
+    for (const product of products) product.extraction_method = 'graphql_api';
+    return { products, apolloData };
+}
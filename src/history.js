@@ -0,0 +1,123 @@
+// Persisted price history with run-over-run change detection
+
+import { cellKey } from './identity.js';
+import { parseSize } from './units.js';
+import { round } from './utils.js';
+
+export const HISTORY_STORE_NAME = 'instacart-price-history';
+export const HISTORY_RECORD_KEY = 'PRICE_HISTORY';
+
+/**
+ * Stable history key for a record, or null when the product has no identity
+ */
+export function historyKey(product) {
+    const id = product?.product_key || product?.product_id || product?.product_url;
+    if (!id) return null;
+    return `${cellKey(product)}|${id}`;
+}
+
+/**
+ * The history key of a record and its previous entry. An entry stored under another of the
+ * record's identifiers (before product keys existed, or from another extraction path) is
+ * moved to the record's key.
+ */
+export function takeHistoryEntry(history, product) {
+    const key = historyKey(product);
+    if (!key) return { key: null, previous: undefined };
+    if (!history[key]) {
+        const cell = cellKey(product);
+        const ids = [product.product_id, product.product_url, ...(product.product_identifiers || [])];
+        const oldKey = ids.filter(Boolean).map(id => `${cell}|${id}`).find(k => k !== key && history[k]);
+        if (oldKey) {
+            history[key] = history[oldKey];
+            delete history[oldKey];
+        }
+    }
+    return { key, previous: history[key] };
+}
+
+/**
+ * Load the history map from a key-value store
+ */
+export async function loadPriceHistory(store) {
+    const history = await store.getValue(HISTORY_RECORD_KEY);
+    return history && typeof history === 'object' ? history : {};
+}
+
+/**
+ * Persist the history map to a key-value store
+ */
+export async function savePriceHistory(store, history) {
+    await store.setValue(HISTORY_RECORD_KEY, history);
+}
+
+/**
+ * Package size of a record as tracked in history: the size text plus its canonical
+ * quantity and unit. Null for unparsed sizes and "per lb" style unit pricing.
+ */
+export function trackedSize(product) {
+    const parsed = parseSize(product?.size);
+    if (!parsed || parsed.per_unit) return null;
+    return { size: product.size, quantity: parsed.quantity, unit: parsed.unit };
+}
+
+/**
+ * Compare a record with its previous observation.
+ * Adds previous_price, price_change, price_change_percent, first_seen and last_seen
+ * (when the product was last seen before this run) to the record, and returns the
+ * updated history entry (with the package size) plus a change row when price or in_stock moved.
+ */
+export function applyPriceHistory(product, previous, now = new Date().toISOString()) {
+    const price = typeof product.price === 'number' ? product.price : null;
+    const previousPrice = typeof previous?.price === 'number' ? previous.price : null;
+
+    const priceChange = price !== null && previousPrice !== null ? round(price - previousPrice) : null;
+    const priceChangePercent = priceChange !== null && previousPrice > 0
+        ? round((priceChange / previousPrice) * 100)
+        : null;
+
+    product.previous_price = previousPrice;
+    product.price_change = priceChange;
+    product.price_change_percent = priceChangePercent;
+    product.first_seen = previous?.first_seen || now;
+    product.last_seen = previous?.last_seen || null;
+
+    // The package size is kept from the last run that showed one
+    const size = trackedSize(product) || (previous?.quantity ? { size: previous.size, quantity: previous.quantity, unit: previous.unit } : null);
+    const entry = {
+        price: price ?? previousPrice,
+        in_stock: typeof product.in_stock === 'boolean' ? product.in_stock : (previous?.in_stock ?? null),
+        first_seen: product.first_seen,
+        last_seen: now,
+        ...size,
+    };
+
+    const changeTypes = [];
+    if (priceChange) changeTypes.push('price');
+    if (previous && typeof previous.in_stock === 'boolean' && typeof product.in_stock === 'boolean'
+        && previous.in_stock !== product.in_stock) {
+        changeTypes.push('stock');
+    }
+
+    const change = changeTypes.length
+        ? {
+            history_key: historyKey(product),
+            product_id: product.product_id || null,
+            name: product.name || null,
+            retailer: product.retailer || null,
+            zipcode: product.zipcode || null,
+            product_url: product.product_url || null,
+            change_types: changeTypes,
+            previous_price: previousPrice,
+            price,
+            price_change: priceChange,
+            price_change_percent: priceChangePercent,
+            previous_in_stock: previous.in_stock ?? null,
+            in_stock: product.in_stock ?? null,
+            previous_seen: previous.last_seen || null,
+            timestamp: now,
+        }
+        : null;
+
+    return { entry, change };
+}
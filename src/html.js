@@ -0,0 +1,110 @@
+// PRIORITY 2: product extraction from rendered product cards
+import { log } from 'apify';
+
+import { EXTRACTION_STRATEGIES } from './apollo.js';
+import { extractAvailabilityFromCard, isInStock } from './availability.js';
+import { nameKey, productKey } from './identity.js';
+import { detectCurrency } from './locale.js';
+import { addPromotionPricing, extractPromotionsFromCard } from './promotions.js';
+import { addUnitPricing } from './units.js';
+import { cleanImageUrl, parsePrice, toAbs } from './utils.js';
+
+/**
+ * PRIORITY 2: HTML parsing fallback
+ */
+export function extractFromHTML($, baseUrl) {
+    const products = [];
+    try {
+        // Multiple selector strategies for Instacart
+        const selectors = [
+            'a[href*="/products/"]',
+            'a[href*="/store/items/"]',
+            '[data-testid*="product"]',
+            '[data-testid*="item-card"]',
+            '[class*="ItemCard"]',
+        ];
+
+        const seen = new Set();
+
+        for (const selector of selectors) {
+            $(selector).each((_, el) => {
+                const $el = $(el);
+                const href = $el.attr('href') || $el.find('a').first().attr('href');
+                const fullUrl = href ? toAbs(href, baseUrl) : null;
+
+                if (fullUrl && seen.has(fullUrl)) return;
+                if (fullUrl) seen.add(fullUrl);
+
+                // Find product name
+                const name = $el.find('[class*="ItemName"], [class*="product-name"], h3, h4, [data-testid*="name"]')
+                    .first().text().trim() ||
+                    $el.attr('aria-label') ||
+                    $el.text().trim().split('\n')[0]?.trim();
+
+                // Find price, and the struck-through regular price of items on sale
+                const priceText = $el.find('[class*="Price"], [data-testid*="price"]').not('s, del, [class*="Original"], [class*="Was"]')
+                    .first().text().trim();
+                const price = parsePrice(priceText);
+                const originalText = $el.find('s, del, [class*="OriginalPrice"], [class*="WasPrice"]').first().text().trim();
+                const originalPrice = parsePrice(originalText);
+
+                // Find package size ("12 oz", "per lb")
+                const size = $el.find('[class*="Size"], [data-testid*="size"]').first().text().trim() || null;
+
+                // Find image - handle srcset format properly
+                let imgSrc = $el.find('img').attr('src');
+                if (!imgSrc) {
+                    const srcset = $el.find('img').attr('srcset');
+                    if (srcset) {
+                        // srcset format: "url1 197w, url2 394w" - get first URL
+                        imgSrc = srcset.split(',')[0]?.split(' ')[0];
+                    }
+                }
+                imgSrc = cleanImageUrl(imgSrc);
+
+                // Stock label or add-to-cart state, which may sit next to the link inside the card
+                const $card = $el.closest('li, [data-testid*="item-card"], [class*="ItemCard"]');
+                const availability = extractAvailabilityFromCard($card.length ? $card : $el);
+                const promotions = extractPromotionsFromCard($card.length ? $card : $el);
+
+                if (name && name.length > 2 && name.length < 200) {
+                    products.push(addPromotionPricing(addUnitPricing({
+                        name,
+                        price,
+                        original_price: originalPrice && originalPrice > (price ?? 0) ? originalPrice : null,
+                        currency: detectCurrency(priceText),
+                        size,
+                        image_url: imgSrc ? cleanImageUrl(toAbs(imgSrc, baseUrl)) : null,
+                        product_url: fullUrl,
+                        store: 'Instacart',
+                        in_stock: isInStock(availability),
+                        availability,
+                        timestamp: new Date().toISOString(),
+                        extraction_method: 'html_parsing',
+                        extraction_strategy: EXTRACTION_STRATEGIES.HTML,
+                    }), promotions));
+                }
+            });
+        }
+
+        // Dedupe by product key; cards without a link only by name and size, so the
+        // 1 lb and 2 lb packs of one product both stay
+        const uniqueProducts = [];
+        const seenKeys = new Set();
+        const seenNames = new Set();
+        for (const p of products) {
+            const key = productKey(p);
+            const name = nameKey(p);
+            if (!key || seenKeys.has(key) || (!p.product_url && seenNames.has(name))) continue;
+            seenKeys.add(key);
+            seenNames.add(name);
+            uniqueProducts.push(p);
+        }
+
+        log.info(`📄 HTML extraction: Found ${uniqueProducts.length} unique products`);
+        return uniqueProducts;
+    } catch (e) {
+        log.debug(`HTML extraction failed: ${e.message}`);
+    }
+    return products;
+}
@@ -0,0 +1,173 @@
+// Canonical product identity (product_key) and the identifier alias registry
+
+import { parseSize } from './units.js';
+
+export const IDENTITY_RECORD_KEY = 'PRODUCT_IDENTITY';
+
+const PRODUCT_ID = /^\d+$/;
+
+/**
+ * Lower-case slug of a name or size text
+ */
+function slugify(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Package variant of a size text: canonical quantity and unit ("16 oz" and "1 lb" → "1lb"),
+ * "per-lb" for unit pricing, the slugged text when it is not understood, '' without a size
+ */
+export function variantToken(size) {
+    if (!size) return '';
+    const parsed = parseSize(String(size));
+    if (!parsed) return slugify(size);
+    const unit = parsed.unit.replace(/\s+/g, '');
+    return parsed.per_unit ? `per-${unit}` : `${parsed.quantity}${unit}`;
+}
+
+/**
+ * Normalized identifier of a raw product_id: "items_1234-17270" and "17270-organic-bananas"
+ * are product 17270, "item_555" is a legacy ID
+ */
+function fromRawId(raw) {
+    const id = String(raw).trim();
+    if (!id) return null;
+    if (PRODUCT_ID.test(id)) return id;
+    const legacy = id.match(/^item_(\d+)$/i);
+    if (legacy) return `item_${legacy[1]}`;
+    const item = id.match(/^items_\d+-(\d+)$/i) || id.match(/^(\d+)-[a-z0-9-]+$/i);
+    if (item) return item[1];
+    return `id_${id}`;
+}
+
+/**
+ * Every identifier a record carries, normalized: product IDs, legacy IDs, other IDs, GTIN
+ */
+export function productIdentifiers(product) {
+    const identifiers = [];
+    const add = (id) => { if (id && !identifiers.includes(id)) identifiers.push(id); };
+
+    let pathname = '';
+    try {
+        pathname = product?.product_url ? new URL(product.product_url).pathname : '';
+    } catch {
+        // Relative or broken URLs carry no identifier
+    }
+    const legacy = pathname.match(/\/items\/item_(\d+)/)?.[1];
+
+    if (product?.product_id !== null && product?.product_id !== undefined) {
+        // Records with only a legacyId carry it as their product_id: it is not a product ID
+        const raw = String(product.product_id).trim();
+        add(legacy && raw === legacy ? `item_${legacy}` : fromRawId(raw));
+    }
+    add(pathname.match(/\/products\/(\d+)(?:-|\/|$)/)?.[1]);
+    add(legacy ? `item_${legacy}` : null);
+    if (product?.gtin) add(`gtin_${product.gtin}`);
+    return identifiers;
+}
+
+// Identifier kinds from strongest to weakest
+const RANKS = [id => PRODUCT_ID.test(id), id => id.startsWith('item_'), id => id.startsWith('id_'), id => id.startsWith('gtin_')];
+
+/**
+ * Name-and-size key for records without any identifier
+ */
+export function nameKey(product) {
+    const name = product?.name ? slugify(product.name) : '';
+    if (!name) return null;
+    const variant = variantToken(product.size);
+    return variant ? `name_${name}|${variant}` : `name_${name}`;
+}
+
+/**
+ * The "<retailer>|<zipcode>" cell a record was priced in
+ */
+export function cellKey(product) {
+    return `${product.retailer || 'default'}|${product.zipcode || ''}`;
+}
+
+/**
+ * The product_key of a record on its own, without the registry (null without ID or name)
+ */
+export function productKey(product) {
+    const identifiers = productIdentifiers(product);
+    for (const rank of RANKS) {
+        const id = identifiers.find(rank);
+        if (id) return id;
+    }
+    return nameKey(product);
+}
+
+/**
+ * True when a record is known under an ID: its product_id, product_key or a merged identifier
+ */
+export function hasProductId(product, id) {
+    if (!product || id === null || id === undefined) return false;
+    const wanted = String(id).trim();
+    return String(product.product_id ?? '') === wanted ||
+        product.product_key === wanted ||
+        (Array.isArray(product.product_identifiers) && product.product_identifiers.includes(fromRawId(wanted)));
+}
+
+/**
+ * Identity registry over a persisted { aliases } map (identifier → product ID key).
+ * `identify` sets product_key and product_identifiers on a record and returns the key.
+ */
+export function createIdentityRegistry(data = {}) {
+    if (!data.aliases || typeof data.aliases !== 'object') data.aliases = {};
+    const { aliases } = data;
+
+    function identify(product) {
+        const identifiers = productIdentifiers(product);
+        let key = productKey(product);
+
+        // Weaker identifiers resolve to the product ID they were seen with
+        if (key && !PRODUCT_ID.test(key)) {
+            const known = identifiers.map(id => aliases[id]).find(Boolean);
+            if (known) key = known;
+        }
+        if (key && PRODUCT_ID.test(key)) {
+            // The first product ID an identifier was seen with wins
+            for (const id of identifiers) {
+                if (id !== key && !aliases[id]) aliases[id] = key;
+            }
+        }
+
+        product.product_key = key;
+        product.product_identifiers = key && !identifiers.includes(key) ? [key, ...identifiers] : identifiers;
+        return key;
+    }
+
+    return { identify, data };
+}
+
+/**
+ * The product_key an identifier given on its own stands for ("items_1-17270", "item_555",
+ * a product_key), through the registry's aliases when it has one
+ */
+export function resolveProductKey(id, data = {}) {
+    const raw = id === null || id === undefined ? '' : String(id).trim();
+    if (!raw) return null;
+    const key = /^(?:id|gtin|name)_/.test(raw) ? raw : fromRawId(raw);
+    return data?.aliases?.[key] || key;
+}
+
+/**
+ * Load the identity registry data from a key-value store
+ */
+export async function loadIdentity(store) {
+    const data = await store.getValue(IDENTITY_RECORD_KEY);
+    return data && typeof data === 'object' ? data : {};
+}
+
+/**
+ * Persist the identity registry data to a key-value store
+ */
+export async function saveIdentity(store, data) {
+    await store.setValue(IDENTITY_RECORD_KEY, data);
+}
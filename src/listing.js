@@ -0,0 +1,43 @@
+// Listing page pipeline: Apollo first, HTML fallback, effective location
+import { log } from 'apify';
+
+import { extractApolloState, extractProductsFromApollo } from './apollo.js';
+import { extractFromHTML } from './html.js';
+import { extractEffectiveZipcode } from './location.js';
+
+/**
+ * Extract products from a listing page: Apollo first, HTML fallback.
+ * Pages loaded by infinite scroll also keep HTML products missing from the Apollo state.
+ */
+export function processListingPage($, url, zip, { scrolled = false } = {}) {
+    const products = [];
+
+    // Try Apollo extraction first (Priority 1)
+    const apolloData = extractApolloState($);
+    if (apolloData) {
+        const apolloProducts = extractProductsFromApollo(apolloData, url);
+        products.push(...apolloProducts);
+    }
+
+    // Fallback to HTML parsing if Apollo didn't yield results
+    if (products.length === 0) {
+        const htmlProducts = extractFromHTML($, url);
+        products.push(...htmlProducts);
+    } else if (scrolled) {
+        const known = new Set(products.map(p => p.product_url).filter(Boolean));
+        products.push(...extractFromHTML($, url).filter(p => p.product_url && !known.has(p.product_url)));
+    }
+
+    // Record the location Instacart actually priced this page for
+    const effectiveZip = extractEffectiveZipcode(apolloData);
+    if (zip && effectiveZip && effectiveZip !== String(zip)) {
+        log.warning(`📍 Location mismatch on ${url}: requested ${zip}, Instacart returned ${effectiveZip}`);
+    } else if (zip && !effectiveZip) {
+        log.debug(`Could not verify delivery location on ${url}`);
+    }
+    for (const product of products) {
+        product.effective_zipcode = effectiveZip;
+    }
+
+    return { products, apolloData };
+}
@@ -0,0 +1,119 @@
+// Storefront locales: instacart.com (US) and instacart.ca (Canada, English and French)
+
+export const LOCALES = {
+    'en-US': {
+        origin: 'https://www.instacart.com',
+        country: 'US',
+        currency: 'USD',
+        acceptLanguage: 'en-US,en;q=0.9',
+        defaultPostalCode: '94105',
+    },
+    'en-CA': {
+        origin: 'https://www.instacart.ca',
+        country: 'CA',
+        currency: 'CAD',
+        acceptLanguage: 'en-CA,en;q=0.9,fr-CA;q=0.8',
+        defaultPostalCode: 'M5V 3L9',
+    },
+    'fr-CA': {
+        origin: 'https://www.instacart.ca',
+        country: 'CA',
+        currency: 'CAD',
+        acceptLanguage: 'fr-CA,fr;q=0.9,en-CA;q=0.8,en;q=0.7',
+        defaultPostalCode: 'H2Y 1C6',
+    },
+};
+
+export const DEFAULT_LOCALE = 'en-US';
+
+const INSTACART_HOST = /(^|\.)instacart\.(com|ca)$/i;
+
+/**
+ * Locale settings for a code ("fr-CA", "fr_ca"), or null when the locale is not supported
+ */
+export function resolveLocale(code) {
+    if (!code) return null;
+    const [language, region = ''] = String(code).trim().split(/[-_]/);
+    const key = `${language.toLowerCase()}-${region.toUpperCase()}`;
+    return LOCALES[key] ? { code: key, ...LOCALES[key] } : null;
+}
+
+/**
+ * Default locale of a start URL's site: English Canadian for instacart.ca, else US
+ */
+export function localeForUrl(url) {
+    try {
+        return /(^|\.)instacart\.ca$/i.test(new URL(url).hostname) ? 'en-CA' : DEFAULT_LOCALE;
+    } catch {
+        return DEFAULT_LOCALE;
+    }
+}
+
+/**
+ * True for http(s) URLs on an Instacart site (instacart.com, instacart.ca and their subdomains)
+ */
+export function isInstacartUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return /^https?:$/.test(parsed.protocol) && INSTACART_HOST.test(parsed.hostname);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Origin product URLs are built on: the page's own Instacart site, else instacart.com
+ */
+export function siteOrigin(url) {
+    try {
+        const parsed = new URL(url);
+        return INSTACART_HOST.test(parsed.hostname) ? parsed.origin : LOCALES[DEFAULT_LOCALE].origin;
+    } catch {
+        return LOCALES[DEFAULT_LOCALE].origin;
+    }
+}
+
+/**
+ * Languages of an Accept-Language value in preference order (navigator.languages)
+ */
+export function acceptLanguageList(acceptLanguage) {
+    return acceptLanguage.split(',').map(part => part.split(';')[0].trim()).filter(Boolean);
+}
+
+/**
+ * US ZIP ("94105", "94105-1234" → "94105") or Canadian postal code ("m5v3l9" → "M5V 3L9"),
+ * null for anything else
+ */
+export function parsePostalCode(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim().toUpperCase();
+    const zip = text.match(/^(\d{5})(?:-\d{4})?$/);
+    if (zip) return zip[1];
+    const postal = text.match(/^([ABCEGHJ-NPRSTVXY]\d[A-Z])[\s-]?(\d[A-Z]\d)$/);
+    return postal ? `${postal[1]} ${postal[2]}` : null;
+}
+
+/**
+ * Country of a US ZIP ("US") or Canadian postal code ("CA"), null for anything else
+ */
+export function postalCodeCountry(value) {
+    const code = parsePostalCode(value);
+    if (!code) return null;
+    return /^\d{5}$/.test(code) ? 'US' : 'CA';
+}
+
+/**
+ * ISO currency of a price value: an object's currency code, or an explicit CA$ / US$ / CAD / USD
+ * marker in a price string. A bare "$" is ambiguous and gives null.
+ */
+export function detectCurrency(value) {
+    if (!value) return null;
+    if (typeof value === 'object') {
+        const code = value.currency ?? value.currencyCode ?? value.currency_code;
+        return typeof code === 'string' && /^[a-z]{3}$/i.test(code) ? code.toUpperCase() : null;
+    }
+    const text = String(value);
+    if (/\bCAD\b|\bCA?\$|\$\s?CA\b/i.test(text)) return 'CAD';
+    if (/\bUSD\b|\bUS\$|\$\s?US\b/i.test(text)) return 'USD';
+    return null;
+}
@@ -0,0 +1,44 @@
+// Delivery location pinning and verification
+import { parsePostalCode } from './locale.js';
+
+/**
+ * Cookies that pin the Instacart delivery location for a session
+ */
+export function buildLocationCookies(zip) {
+    if (!zip) return [];
+    return [
+        { name: 'postal_code', value: String(zip) },
+        { name: 'zip_code', value: String(zip) },
+    ];
+}
+
+/**
+ * Serialize location cookies into a Cookie header value
+ */
+export function toCookieHeader(cookies) {
+    return cookies.map(c => `${c.name}=${encodeURIComponent(c.value)}`).join('; ');
+}
+
+/**
+ * Find the delivery postal code (US ZIP or Canadian) Instacart echoes back in the Apollo state
+ */
+export function extractEffectiveZipcode(apolloData) {
+    if (!apolloData || typeof apolloData !== 'object') return null;
+    const ZIP_KEYS = ['postalCode', 'zipCode', 'zipcode', 'postal_code', 'zip_code'];
+
+    const visit = (obj, depth = 0) => {
+        if (!obj || typeof obj !== 'object' || depth > 6) return null;
+        for (const key of ZIP_KEYS) {
+            const postalCode = typeof obj[key] === 'string' ? parsePostalCode(obj[key]) : null;
+            if (postalCode) return postalCode;
+        }
+        for (const [key, value] of Object.entries(obj)) {
+            if (key.startsWith('__') || !value || typeof value !== 'object') continue;
+            const found = visit(value, depth + 1);
+            if (found) return found;
+        }
+        return null;
+    };
+
+    return visit(apolloData);
+}
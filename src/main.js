@@ -1,31 +1,168 @@
 // Instacart Grocery Price Index - Production-ready Apify Actor
 // Hybrid approach: HTTP + Apollo GraphQL (Priority 1) → Playwright stealth fallback (Priority 2)
 import { Actor, log } from 'apify';
-import { CheerioCrawler, PlaywrightCrawler, Dataset } from 'crawlee';
 import { load as cheerioLoad } from 'cheerio';
-import { gotScraping } from 'got-scraping';
+import { BasicCrawler, CheerioCrawler, Dataset, PlaywrightCrawler, RequestQueue } from 'crawlee';
+
+import { evaluateAlertRules, normalizeAlertRules } from './alerts.js';
+import { extractApolloState } from './apollo.js';
+import { computeBasketIndex, INDEX_BASE_RECORD_KEY } from './basket.js';
+import { blockedError, blockReasonFromError, detectBlock, NOT_FOUND_STATUS_CODES } from './blocking.js';
+import { extractProductDetails } from './details.js';
+import { buildDiagnosticsReport, createDiagnostics } from './diagnostics.js';
+import { FIXTURES_DIR, loadFixture, saveFixture } from './fixtures.js';
+import {
+    buildGraphqlUrl,
+    collectItemIds,
+    extractProductsFromGraphql,
+    findGraphqlOperations,
+    itemBatches,
+    nextPageVariables,
+    parseGraphqlResponse,
+} from './graphql.js';
+import {
+    applyPriceHistory,
+    HISTORY_STORE_NAME,
+    loadPriceHistory,
+    savePriceHistory,
+    takeHistoryEntry,
+} from './history.js';
+import { cellKey, createIdentityRegistry, loadIdentity, productKey, saveIdentity } from './identity.js';
+import { processListingPage } from './listing.js';
+import { acceptLanguageList, DEFAULT_LOCALE, localeForUrl, parsePostalCode, postalCodeCountry, resolveLocale } from './locale.js';
+import { buildLocationCookies, toCookieHeader } from './location.js';
+import { buildComparison, createProductMatcher, DEFAULT_MATCH_THRESHOLD } from './matching.js';
+import { discoverNextPage, extractPaginationFromApollo } from './pagination.js';
+import { buildCategoryReport, renderReportHtml, REPORT_HTML_RECORD_KEY, REPORT_RECORD_KEY } from './report.js';
+import { createApiServer, createCatalog } from './server.js';
+import { applyShrinkflation, buildShrinkflationReport, SHRINKFLATION_RECORD_KEY } from './shrinkflation.js';
+import {
+    categorySlugsFromUrl,
+    discoverChildCategories,
+    humanizeCategorySlug,
+    toCategoryFields,
+} from './taxonomy.js';
+import {
+    buildWatchlistReport,
+    extractWatchedProduct,
+    isProductPageUrl,
+    normalizeWatchlist,
+    toWatchResult,
+    WATCH_STATUS,
+    WATCHLIST_RECORD_KEY,
+    watchUrl,
+} from './watchlist.js';
+import { postWebhook } from './webhook.js';
 
 await Actor.init();
 
-async function main() {
+/**
+ * One scrape of the given input, from start URLs (or watched products) to the end-of-run records.
+ * Returns the STATS record and this scrape's saved products. On-demand scrapes of the query API
+ * pass resume: false and their own request queue, so earlier scrapes do not affect them.
+ */
+async function scrape(input, { resume = true, requestQueueName = null } = {}) {
+    // Event listeners and the on-demand queue are released however the scrape ends
+    const cleanup = [];
     try {
-        const input = (await Actor.getInput()) || {};
         const {
-            startUrl = 'https://www.instacart.com/categories/316-food/317-fresh-produce',
+            startUrl,
             startUrls = [],
+            searchQuery,
+            category,
+            subcategory,
+            storeId,
+            watchlist = [],
             results_wanted: RESULTS_WANTED_RAW = 100,
             max_pages: MAX_PAGES_RAW = 10,
-            zipcode = '94105',
+            locale: LOCALE_INPUT,
+            zipcode: ZIPCODE_INPUT,
+            zipcodes = [],
+            retailers = [],
             proxyConfiguration,
             dedupe = true,
             delay_ms: DELAY_MS = 2000,
+            maxConcurrency: MAX_CONCURRENCY_RAW = 2,
+            maxRequestsPerMinute: MAX_RPM_RAW = 60,
+            extractDetails = true,
+            discoverCategories = false,
+            includeNutrition = true,
+            includeReviews = true,
+            includeUnavailable = true,
+            onLocationMismatch = 'flag',
+            trackHistory = true,
+            historyStoreName = HISTORY_STORE_NAME,
+            basket = [],
+            resetIndexBase = false,
+            matchProducts = false,
+            matchThreshold: MATCH_THRESHOLD_RAW = DEFAULT_MATCH_THRESHOLD,
+            alertRules = [],
+            alertWebhookUrl,
+            alertWebhookSecret,
+            fillRateThresholds = {},
+            onLowFillRate = 'warn',
+            fetchMode = 'html',
+            fixtureMode = 'off',
+            fixturesDir = FIXTURES_DIR,
         } = input;
 
         const RESULTS_WANTED = Number.isFinite(+RESULTS_WANTED_RAW) ? Math.max(1, +RESULTS_WANTED_RAW) : 100;
         const MAX_PAGES = Number.isFinite(+MAX_PAGES_RAW) ? Math.max(1, +MAX_PAGES_RAW) : 10;
-        const DELAY_MS_VALUE = Number.isFinite(+DELAY_MS) ? Math.max(1000, +DELAY_MS) : 2000;
+        const MAX_CATEGORY_DEPTH = 5;
+        const DELAY_MS_VALUE = Number.isFinite(+DELAY_MS) ? Math.max(0, +DELAY_MS) : 2000;
+        const MAX_CONCURRENCY = Number.isFinite(+MAX_CONCURRENCY_RAW) ? Math.max(1, +MAX_CONCURRENCY_RAW) : 2;
+        // Every request goes to one Instacart domain, so a same-domain delay would serialize
+        // parallel crawls: above concurrency 1 maxRequestsPerMinute paces the requests instead
+        const SAME_DOMAIN_DELAY_SECS = MAX_CONCURRENCY > 1 ? 0 : DELAY_MS_VALUE / 1000;
+        const MAX_REQUESTS_PER_MINUTE = Number.isFinite(+MAX_RPM_RAW) ? Math.max(1, +MAX_RPM_RAW) : 60;
+        const MATCH_THRESHOLD = Number.isFinite(+MATCH_THRESHOLD_RAW)
+            ? Math.min(1, Math.max(0, +MATCH_THRESHOLD_RAW))
+            : DEFAULT_MATCH_THRESHOLD;
+        const SESSION_POOL_SIZE = 20;
+        const GRAPHQL_FAILURE_LIMIT = 3;
+        const USE_GRAPHQL = fetchMode === 'graphql';
+        const FAIL_ON_LOCATION_MISMATCH = onLocationMismatch === 'fail';
+        const FAIL_ON_LOW_FILL_RATE = onLowFillRate === 'fail';
+        const ALERT_RULES = normalizeAlertRules(alertRules);
+        const RECORD_FIXTURES = fixtureMode === 'record';
+        const REPLAY_FIXTURES = fixtureMode === 'replay';
+
+        // Watchlist mode fetches the listed product pages instead of walking listings
+        const { entries: WATCHLIST, invalid: invalidWatchEntries } = normalizeWatchlist(watchlist);
+        const WATCH_MODE = WATCHLIST.length > 0;
+        if (invalidWatchEntries.length) {
+            log.warning(`👀 Ignoring ${invalidWatchEntries.length} watchlist entries that are not product URLs or IDs: ${invalidWatchEntries.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+
+        // An explicit locale applies to every start URL; otherwise each URL's site decides (instacart.ca → en-CA)
+        const LOCALE = resolveLocale(LOCALE_INPUT);
+        if (LOCALE_INPUT && !LOCALE) log.warning(`Unsupported locale "${LOCALE_INPUT}", using each start URL's site locale`);
+        const SITE = LOCALE || resolveLocale(DEFAULT_LOCALE);
+
+        // US ZIP codes and Canadian postal codes are both accepted and normalized ("m5v3l9" → "M5V 3L9")
+        const toPostalCode = value => parsePostalCode(value) || String(value).trim();
+
+        // Price matrix mode: the same category paths priced per retailer and zipcode
+        const ZIPCODES = [...new Set((Array.isArray(zipcodes) ? zipcodes : []).map(z => String(z).trim()).filter(Boolean).map(toPostalCode))];
+        const RETAILERS = [...new Set((Array.isArray(retailers) ? retailers : []).map(r => String(r).trim().toLowerCase()).filter(Boolean))];
+        const MATRIX_MODE = ZIPCODES.length > 0 || RETAILERS.length > 0;
+
+        // A single storeId scopes every request to that store
+        const STORE_ID = storeId ? String(storeId).trim().toLowerCase() : null;
+        if (!RETAILERS.length && STORE_ID) RETAILERS.push(STORE_ID);
 
         log.info(`🚀 Starting Instacart scraper | Target: ${RESULTS_WANTED} products | Max pages: ${MAX_PAGES}`);
+        if (extractDetails) {
+            log.info(`🔎 Product details enabled | Nutrition: ${includeNutrition} | Reviews: ${includeReviews}`);
+        }
+        if (ALERT_RULES.length) {
+            log.info(`🔔 ${ALERT_RULES.length} alert rule(s)${alertWebhookUrl ? ' with webhook delivery' : ''}`);
+            if (!trackHistory) log.warning('Alert rules compare with previous runs: enable trackHistory for price and stock alerts');
+        }
+        if (WATCH_MODE) log.info(`👀 Watchlist mode: ${WATCHLIST.length} product(s), start URLs and results_wanted are not used`);
+        if (USE_GRAPHQL) log.info('⚡ GraphQL mode: one HTML page per start URL, then direct GraphQL requests');
+        if (RECORD_FIXTURES) log.info(`📼 Recording fetched pages to ${fixturesDir}`);
+        if (REPLAY_FIXTURES) log.info(`📼 Replaying recorded pages from ${fixturesDir} (no network)`);
 
         // Stealth user agents
         const USER_AGENTS = [
@@ -36,8 +173,21 @@ async function main() {
         ];
 
         const getRandomUA = () => USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
-        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms + Math.random() * 500));
-        const toAbs = (href, base) => { try { return new URL(href, base).href; } catch { return null; } };
+
+        /**
+         * Build a search results URL for a query
+         */
+        function buildSearchUrl(query) {
+            return `${SITE.origin}/store/s?k=${encodeURIComponent(String(query).trim())}`;
+        }
+
+        /**
+         * Build a taxonomy URL from category / subcategory IDs
+         */
+        function buildCategoryUrl(categoryId, subcategoryId) {
+            const segments = [categoryId, subcategoryId].filter(Boolean).map(id => encodeURIComponent(String(id).trim()));
+            return `${SITE.origin}/categories/${segments.join('/')}`;
+        }
 
         // Build initial URLs
         const initial = [];
@@ -45,634 +195,1223 @@ async function main() {
             initial.push(...startUrls.map(u => typeof u === 'string' ? { url: u } : u));
         }
         if (startUrl && !initial.some(u => u.url === startUrl)) initial.push({ url: startUrl });
-        if (!initial.length) initial.push({ url: 'https://www.instacart.com/categories/316-food/317-fresh-produce' });
-
-        const proxyConf = proxyConfiguration ? await Actor.createProxyConfiguration({ ...proxyConfiguration }) : undefined;
-        let saved = 0;
-        const seenProductIds = new Set();
-        let usePlaywright = false;
+        if (searchQuery && String(searchQuery).trim()) {
+            initial.push({ url: buildSearchUrl(searchQuery), searchQuery: String(searchQuery).trim() });
+        }
+        if (category || subcategory) initial.push({ url: buildCategoryUrl(category, subcategory) });
+        if (!initial.length) initial.push({ url: `${SITE.origin}/categories/316-food/317-fresh-produce` });
 
-        // ==================== PARSING FUNCTIONS ====================
+        // The default delivery location follows the site of the first start URL (or watched product)
+        const siteUrl = WATCH_MODE ? (WATCHLIST[0].origin || SITE.origin) : initial[0].url;
+        const zipcode = toPostalCode(ZIPCODE_INPUT || (LOCALE || resolveLocale(localeForUrl(siteUrl))).defaultPostalCode);
+        if (!ZIPCODES.length) ZIPCODES.push(zipcode);
 
         /**
-         * Decode HTML entities in Apollo state JSON
+         * Read the retailer slug from a /store/<retailer>/... URL
          */
-        function decodeHtmlEntities(str) {
-            if (!str) return str;
-            return str
-                .replace(/&amp;/g, '&')
-                .replace(/&lt;/g, '<')
-                .replace(/&gt;/g, '>')
-                .replace(/&quot;/g, '"')
-                .replace(/&#39;/g, "'")
-                .replace(/&#x27;/g, "'")
-                .replace(/&#x2F;/g, '/')
-                .replace(/&apos;/g, "'")
-                .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(dec))
-                .replace(/&#x([0-9A-Fa-f]+);/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+        function retailerFromUrl(url) {
+            try {
+                // "/store/s" is the generic search page, not a retailer
+                const match = new URL(url).pathname.match(/^\/store\/(?!s(?:\/|$))([^/]+)/);
+                return match ? match[1] : null;
+            } catch {
+                return null;
+            }
         }
 
         /**
-         * Clean image URL by removing srcset artifacts and commas
+         * Rewrite a category URL so it is scoped to the given retailer
          */
-        function cleanImageUrl(url) {
-            if (!url) return null;
-            // Remove trailing commas, spaces, and srcset descriptors (like 2x, 197w)
-            let cleaned = url.trim()
-                .replace(/,$/, '')           // Remove trailing comma
-                .replace(/\s+\d+[wx].*$/, '') // Remove srcset descriptors
-                .replace(/,$/, '')           // Remove any remaining trailing comma
-                .trim();
-            return cleaned || null;
+        function toRetailerUrl(url, retailer) {
+            try {
+                const parsed = new URL(url);
+                const path = parsed.pathname.replace(/^\/store\/(?!s(?:\/|$))[^/]+/, '').replace(/^\/store(?=\/s(?:\/|$))/, '') || '/';
+                parsed.pathname = `/store/${retailer}${path.startsWith('/') ? path : `/${path}`}`;
+                return parsed.href;
+            } catch {
+                return null;
+            }
         }
 
-        /**
-         * PRIORITY 1: Extract from Apollo GraphQL state (node-apollo-state)
-         */
-        function extractApolloState($) {
-            try {
-                const apolloScript = $('script#node-apollo-state');
-                if (!apolloScript.length) {
-                    log.info('⚠️ Apollo state script not found in page');
-                    return null;
+        // Expand start URLs (or watched products) into (url, retailer, zipcode) jobs
+        const jobs = [];
+        for (const zip of ZIPCODES) {
+            for (const entry of WATCHLIST) {
+                for (const retailer of RETAILERS.length ? RETAILERS : [entry.retailer]) {
+                    const url = watchUrl(entry, { origin: SITE.origin, retailer });
+                    jobs.push({ url, retailer, zipcode: zip, locale: LOCALE?.code || localeForUrl(url), watch: entry });
                 }
-
-                let rawData = apolloScript.html() || apolloScript.text() || '';
-                log.info(`📊 Apollo script found, raw length: ${rawData.length} chars`);
-
-                if (!rawData || rawData.length < 100) {
-                    log.warning('Apollo state is empty or too short');
-                    return null;
+            }
+            if (WATCH_MODE) continue;
+            for (const startReq of initial) {
+                const url = typeof startReq === 'string' ? startReq : startReq.url;
+                const searchTerm = startReq.searchQuery || null;
+                const jobLocale = LOCALE?.code || localeForUrl(url);
+                if (!RETAILERS.length) {
+                    jobs.push({ url, retailer: retailerFromUrl(url), zipcode: zip, searchQuery: searchTerm, locale: jobLocale });
+                    continue;
                 }
-
-                // Step 1: Decode URL encoding first (handles %7B, %22, etc.)
-                if (rawData.includes('%7B') || rawData.includes('%22')) {
-                    try {
-                        rawData = decodeURIComponent(rawData);
-                        log.debug('URL decoding applied to Apollo state');
-                    } catch (e) {
-                        log.debug('URL decoding not needed or failed, continuing...');
-                    }
+                for (const retailer of RETAILERS) {
+                    const retailerUrl = toRetailerUrl(url, retailer);
+                    if (retailerUrl) jobs.push({ url: retailerUrl, retailer, zipcode: zip, searchQuery: searchTerm, locale: jobLocale });
                 }
+            }
+        }
+        // A US ZIP cannot be priced on instacart.ca, nor a postal code on instacart.com
+        const misplaced = jobs.filter((job) => {
+            const country = postalCodeCountry(job.zipcode);
+            return country && country !== resolveLocale(job.locale).country;
+        });
+        if (misplaced.length) {
+            const pairs = [...new Set(misplaced.map(job => `${job.zipcode} on ${resolveLocale(job.locale).origin}`))];
+            throw new Error(`Zipcode does not match the site: ${pairs.join(', ')}. instacart.ca needs a Canadian postal code (e.g. M5V 3L9) and instacart.com a US ZIP code, so scrape each site in its own run.`);
+        }
+        if (MATRIX_MODE) {
+            log.info(`🧮 Price matrix mode: ${RETAILERS.length || 'URL'} retailer(s) × ${ZIPCODES.length} zipcode(s) = ${jobs.length} jobs`);
+        }
 
-                // Step 2: Decode HTML entities
-                const decodedData = decodeHtmlEntities(rawData);
+        const proxyConf = proxyConfiguration ? await Actor.createProxyConfiguration({ ...proxyConfiguration }) : undefined;
 
-                // Try to find JSON object boundaries
-                let jsonString = decodedData.trim();
-                if (!jsonString.startsWith('{')) {
-                    const jsonMatch = jsonString.match(/\{[\s\S]*\}/);
-                    if (jsonMatch) {
-                        jsonString = jsonMatch[0];
-                    }
-                }
+        // ==================== RUN STATE (RESUMABLE) ====================
+
+        // Crawl progress survives migrations and aborts: the request queue keeps the
+        // pending URLs/pages, this record keeps counters, dedupe keys and unfinished records
+        const STATE_KEY = 'CRAWL_STATE';
+        const storedState = resume ? await Actor.getValue(STATE_KEY) : null;
+        const state = {
+            saved: 0,
+            pagesProcessed: 0,
+            detailsFetched: 0,
+            locationMismatches: 0,
+            locationUnverified: 0,
+            usedPlaywright: false,
+            coverage: {},
+            pendingDetails: {},
+            fallbackRequests: [],
+            deferredRequests: [],
+            failedRequests: {},
+            blocksDetected: 0,
+            unavailableSkipped: 0,
+            priceChanges: [],
+            shrinkflation: [],
+            extractionMethods: [],
+            jobSeen: {},
+            categoriesDiscovered: 0,
+            matchGroups: {},
+            alerts: [],
+            diagnostics: {},
+            graphqlRequests: 0,
+            graphqlFallbacks: 0,
+            graphqlFailures: 0,
+            graphqlDisabled: false,
+            identity: {},
+            watchlist: {},
+            firstItem: 0,
+            ...storedState,
+        };
+        const seenProductIds = new Set(storedState?.seenProductIds || []);
+        if (storedState) {
+            log.info(`♻️ Resuming previous run: ${state.saved} products already saved, ${state.pagesProcessed} pages processed`);
+        } else {
+            // The query API keeps earlier scrapes in the dataset; this run's records start after them
+            state.firstItem = (await (await Dataset.open()).getInfo())?.itemCount ?? 0;
+        }
 
-                if (jsonString && jsonString.startsWith('{')) {
-                    const parsed = JSON.parse(jsonString);
-                    const keyCount = Object.keys(parsed).length;
-                    log.info(`✅ Apollo state parsed: ${keyCount} top-level keys`);
+        const diagnostics = createDiagnostics(state.diagnostics);
+        state.diagnostics = diagnostics.data;
 
-                    // Log sample keys for debugging
-                    const sampleKeys = Object.keys(parsed).slice(0, 5);
-                    log.debug(`Sample Apollo keys: ${sampleKeys.join(', ')}`);
+        const matcher = matchProducts ? createProductMatcher(state.matchGroups, { threshold: MATCH_THRESHOLD }) : null;
 
-                    return parsed;
-                }
+        const historyStore = trackHistory ? await Actor.openKeyValueStore(historyStoreName) : null;
+        const history = historyStore ? await loadPriceHistory(historyStore) : null;
 
-                log.warning('Apollo state does not contain valid JSON');
-            } catch (e) {
-                log.warning(`Apollo state parsing failed: ${e.message}`);
-                log.debug(`Error details: ${e.stack?.slice(0, 200)}`);
-            }
-            return null;
-        }
+        // Identifiers seen together are remembered across runs next to the price history
+        const identity = createIdentityRegistry(historyStore ? await loadIdentity(historyStore) : state.identity);
+
+        let crawlFinished = false;
 
         /**
-         * Extract products dynamically from Apollo cache
-         * Handles Instacart's nested LandingTaxonomyProducts structure
+         * Save the crawl progress; called with every dataset push so a resumed run never
+         * pushes a record again (the queue marks its request handled right away)
          */
-        function extractProductsFromApollo(apolloData, baseUrl) {
-            const products = [];
-            if (!apolloData || typeof apolloData !== 'object') return products;
+        async function saveCrawlState() {
+            if (crawlFinished) return;
+            await Actor.setValue(STATE_KEY, { ...state, seenProductIds: [...seenProductIds] });
+        }
 
-            try {
-                // Strategy 1: Look for LandingTaxonomyProducts keys (Instacart's structure)
-                for (const [key, value] of Object.entries(apolloData)) {
-                    if (!value || typeof value !== 'object') continue;
-
-                    // Handle LandingTaxonomyProducts structure
-                    if (key.startsWith('LandingTaxonomyProducts:') || key.includes('TaxonomyProducts')) {
-                        log.debug(`Found taxonomy products key: ${key}`);
-
-                        // Value is an object with query parameters as keys
-                        for (const [queryKey, queryData] of Object.entries(value)) {
-                            if (!queryData || typeof queryData !== 'object') continue;
-
-                            // Look for landingTaxonomyProducts.products
-                            const productsArray = queryData?.landingTaxonomyProducts?.products ||
-                                queryData?.products ||
-                                [];
-
-                            if (Array.isArray(productsArray)) {
-                                log.info(`Found ${productsArray.length} products in ${key}`);
-
-                                for (const item of productsArray) {
-                                    const product = extractLandingProduct(item, baseUrl);
-                                    if (product.name || product.product_id) {
-                                        products.push(product);
-                                    }
-                                }
-                            }
-                        }
-                    }
+        // Saved on Crawlee's periodic persistState event, on migration or abort and after each
+        // crawl phase, not per page: the history and identity records grow with every product
+        async function persistCrawlState() {
+            if (crawlFinished) return;
+            await saveCrawlState();
+            if (history) await savePriceHistory(historyStore, history);
+            if (historyStore) await saveIdentity(historyStore, identity.data);
+        }
 
-                    // Also check for direct Product: keys (fallback for other Apollo structures)
-                    if (key.startsWith('Product:') || key.startsWith('Item:') ||
-                        value.__typename === 'Product' || value.__typename === 'Item') {
-                        const product = extractProductFields(value, baseUrl);
-                        if (product.name || product.product_id) {
-                            products.push(product);
-                        }
-                    }
-                }
+        for (const event of ['persistState', 'migrating', 'aborting']) {
+            Actor.on(event, persistCrawlState);
+            cleanup.push(() => Actor.off(event, persistCrawlState));
+        }
+        if (!resume) cleanup.push(() => Actor.setValue(STATE_KEY, null));
 
-                // Strategy 2: Check ROOT_QUERY for product arrays (fallback)
-                const rootQuery = apolloData.ROOT_QUERY || apolloData.root_query || {};
-                for (const [queryKey, queryValue] of Object.entries(rootQuery)) {
-                    if (!queryValue) continue;
-                    const productArrays = findProductArrays(queryValue, apolloData);
-                    for (const arr of productArrays) {
-                        for (const item of arr) {
-                            const product = extractProductFields(item, baseUrl);
-                            if (product.name || product.product_id) {
-                                products.push(product);
-                            }
-                        }
-                    }
-                }
+        // ==================== REQUEST SETTINGS ====================
 
-                log.info(`✅ Apollo extraction: Found ${products.length} products`);
-            } catch (e) {
-                log.warning(`Apollo product extraction error: ${e.message}`);
-            }
+        /**
+         * Locale settings of a request; requests queued before locales existed follow their site
+         */
+        function requestLocale(userData) {
+            return resolveLocale(userData.locale) || resolveLocale(localeForUrl(userData.jobUrl));
+        }
 
-            return products;
+        /**
+         * Browser-like navigation headers with the delivery location pinned
+         */
+        function buildHttpHeaders(zip, locale) {
+            const locationCookies = buildLocationCookies(zip);
+            return {
+                'User-Agent': getRandomUA(),
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+                'Accept-Language': locale.acceptLanguage,
+                'Accept-Encoding': 'gzip, deflate, br',
+                'Cache-Control': 'no-cache',
+                'Sec-Fetch-Dest': 'document',
+                'Sec-Fetch-Mode': 'navigate',
+                'Sec-Fetch-Site': 'none',
+                'Sec-Fetch-User': '?1',
+                'Upgrade-Insecure-Requests': '1',
+                ...(locationCookies.length ? { 'Cookie': toCookieHeader(locationCookies) } : {}),
+            };
         }
 
         /**
-         * Extract product from Instacart's LandingLandingProduct structure
+         * Headers of a same-origin GraphQL call made by the page that bootstrapped the session
          */
-        function extractLandingProduct(item, baseUrl) {
-            if (!item || typeof item !== 'object') return {};
-
-            const id = item.id || item.productId || null;
-            const name = item.name || item.title || null;
-            const size = item.size || null;
-            const landingParam = item.landingParam || null;
-
-            // Extract image URL from nested structure
-            let imageUrl = null;
-            const templateUrl = item.image?.viewSection?.productImage?.templateUrl ||
-                item.image?.url ||
-                item.imageUrl ||
-                null;
-
-            if (templateUrl) {
-                // Replace {width=}x{height=} placeholders with actual dimensions
-                imageUrl = templateUrl
-                    .replace('{width=}', '400')
-                    .replace('{height=}', '400')
-                    .replace('{width}', '400')
-                    .replace('{height}', '400');
-            }
-
-            // Build product URL from landingParam
-            const productUrl = landingParam
-                ? `https://www.instacart.com/products/${landingParam}`
-                : (id ? `https://www.instacart.com/products/${id}` : null);
+        function buildGraphqlHeaders(zip, locale, sessionCookies, referer) {
+            const cookies = [toCookieHeader(buildLocationCookies(zip)), sessionCookies].filter(Boolean).join('; ');
+            return {
+                'User-Agent': getRandomUA(),
+                'Accept': 'application/json',
+                'Accept-Language': locale.acceptLanguage,
+                'Accept-Encoding': 'gzip, deflate, br',
+                'Content-Type': 'application/json',
+                'Sec-Fetch-Dest': 'empty',
+                'Sec-Fetch-Mode': 'cors',
+                'Sec-Fetch-Site': 'same-origin',
+                ...(referer ? { 'Referer': referer } : {}),
+                ...(cookies ? { 'Cookie': cookies } : {}),
+            };
+        }
 
+        /**
+         * Queue entry for one listing page of a job
+         */
+        function buildListRequest(job, pageNo = 1, url = job.url, label = 'LIST') {
             return {
-                product_id: id,
-                name: name,
-                size: size,
-                image_url: imageUrl ? cleanImageUrl(imageUrl) : null,
-                product_url: productUrl,
-                in_stock: true,
-                store: 'Instacart',
-                category: 'Fresh Produce',
-                timestamp: new Date().toISOString(),
-                extraction_method: 'apollo_graphql'
+                url,
+                uniqueKey: `${label.toLowerCase()}|${job.retailer || 'default'}|${job.zipcode}|${url}`,
+                label,
+                userData: { ...job, jobUrl: job.url, pageNo },
             };
         }
 
         /**
-         * Recursively find arrays that contain product-like objects
+         * Queue entry for a watched product's page
          */
-        function findProductArrays(obj, apolloData, depth = 0) {
-            const results = [];
-            if (depth > 5 || !obj) return results;
-
-            if (Array.isArray(obj)) {
-                // Check if array contains products
-                const hasProducts = obj.some(item =>
-                    item && typeof item === 'object' &&
-                    (item.__typename === 'Product' || item.__typename === 'Item' ||
-                        item.name || item.productId || item.id)
-                );
-                if (hasProducts) {
-                    // Resolve Apollo references if needed
-                    const resolved = obj.map(item => {
-                        if (item && item.__ref && apolloData[item.__ref]) {
-                            return apolloData[item.__ref];
-                        }
-                        return item;
-                    });
-                    results.push(resolved);
-                }
-            } else if (typeof obj === 'object') {
-                // Check for Apollo reference
-                if (obj.__ref && apolloData[obj.__ref]) {
-                    results.push(...findProductArrays(apolloData[obj.__ref], apolloData, depth + 1));
+        function buildWatchRequest(job) {
+            return {
+                url: job.url,
+                uniqueKey: `watch|${job.retailer || 'default'}|${job.zipcode}|${job.watch.key}`,
+                label: 'WATCH',
+                userData: { ...job, jobUrl: job.url },
+            };
+        }
+
+        /**
+         * Queue entry for a listing page (or Items batch) fetched from the site's GraphQL endpoint;
+         * pageUrl is the HTML page it stands for and falls back to
+         */
+        function buildGraphqlRequest(job, pageNo, graphql, variables, pageUrl, label = 'GRAPHQL') {
+            const operation = label === 'GRAPHQL_ITEMS' ? graphql.items : graphql.listing;
+            const url = buildGraphqlUrl(operation, variables, new URL('/graphql', pageUrl).href);
+            return {
+                url,
+                uniqueKey: `${label.toLowerCase()}|${job.retailer || 'default'}|${job.zipcode}|${url}`,
+                label,
+                userData: { ...job, jobUrl: job.url, pageNo, pageUrl, graphql: { ...graphql, variables } },
+            };
+        }
+
+        // ==================== PAGE HANDLERS ====================
+
+        const { coverage } = state;
+        let fatalError = null;
+
+        if (!storedState) {
+            for (const job of jobs) {
+                const key = cellKey(job);
+                if (!coverage[key]) {
+                    coverage[key] = { retailer: job.retailer, zipcode: job.zipcode, urls: 0, pages: 0, products: 0, location_mismatches: 0 };
                 }
+                coverage[key].urls++;
+            }
+        }
+
+        // In matrix mode results_wanted applies per (retailer, zipcode) cell
+        const cellFull = (cell) => (MATRIX_MODE ? cell.products : state.saved) >= RESULTS_WANTED;
 
-                // Recurse into object properties
-                for (const value of Object.values(obj)) {
-                    results.push(...findProductArrays(value, apolloData, depth + 1));
+        /**
+         * Apply price history and product matching, then push finished records to the dataset
+         */
+        async function saveRecords(records) {
+            if (!records.length) return;
+            const now = new Date().toISOString();
+            diagnostics.recordRecords(records);
+            for (const product of records) {
+                if (!state.extractionMethods.includes(product.extraction_method)) {
+                    state.extractionMethods.push(product.extraction_method);
                 }
+                if (matcher) Object.assign(product, matcher.match(product));
+                if (!history) continue;
+                const { key, previous } = takeHistoryEntry(history, product);
+                if (!key) continue;
+                const { entry, change } = applyPriceHistory(product, previous, now);
+                history[key] = entry;
+                if (change) state.priceChanges.push(change);
+                const shrinkflation = applyShrinkflation(product, previous, now);
+                if (shrinkflation) state.shrinkflation.push(shrinkflation);
+                if (ALERT_RULES.length) state.alerts.push(...evaluateAlertRules(ALERT_RULES, product, previous, now));
             }
+            await Dataset.pushData(records);
+            await saveCrawlState();
+        }
 
-            return results;
+        /**
+         * Add the cell's retailer, zipcode and currency to a record and flag records priced for a
+         * different location. Returns false when a location mismatch aborted the run.
+         */
+        async function tagLocation(product, userData, crawler) {
+            const { retailer, zipcode: jobZip } = userData;
+            const cell = coverage[cellKey(userData)];
+            product.retailer = retailer;
+            product.zipcode = jobZip;
+            if (!product.currency) product.currency = requestLocale(userData).currency;
+            product.location_verified = product.effective_zipcode
+                ? product.effective_zipcode === String(jobZip)
+                : null;
+            if (product.location_verified === false) {
+                state.locationMismatches++;
+                cell.location_mismatches++;
+                if (FAIL_ON_LOCATION_MISMATCH) {
+                    fatalError = new Error(`Location mismatch: requested zipcode ${jobZip}, Instacart returned ${product.effective_zipcode}`);
+                    await crawler.autoscaledPool?.abort();
+                    return false;
+                }
+            } else if (product.location_verified === null) {
+                state.locationUnverified++;
+            }
+            return true;
         }
 
         /**
-         * Extract standard fields from a product object
+         * Dedupe, annotate and save a page's products; detail pages are enqueued for records
+         * waiting on them. Returns false when a location mismatch aborted the run.
          */
-        function extractProductFields(product, baseUrl) {
-            if (!product || typeof product !== 'object') return {};
+        async function saveListingProducts(products, request, crawler) {
+            const { zipcode: jobZip, searchQuery: jobQuery, jobUrl, categoryNames } = request.userData;
+            const key = cellKey(request.userData);
+            const cell = coverage[key];
+
+            // Category names come from the discovered taxonomy, else from the URL slugs
+            const categoryFields = toCategoryFields(
+                categoryNames?.length ? categoryNames : categorySlugsFromUrl(jobUrl).map(humanizeCategorySlug),
+            );
+
+            const finished = [];
+            const detailRequests = [];
+            for (const product of products) {
+                if (cellFull(cell)) break;
+
+                // Out-of-stock and undeliverable items are dropped on request; unknown stays
+                if (!includeUnavailable && product.in_stock === false) {
+                    state.unavailableSkipped++;
+                    continue;
+                }
 
-            const id = product.id || product.productId || product.product_id ||
-                product.legacyId || product.sku || null;
+                // Variants of one product have keys of their own; its other IDs share one
+                const recordKey = identity.identify(product);
+                const dedupeKey = recordKey ? `${key}|${recordKey}` : null;
+                if (dedupe && dedupeKey && seenProductIds.has(dedupeKey)) continue;
+                if (dedupeKey) seenProductIds.add(dedupeKey);
+
+                if (!await tagLocation(product, request.userData, crawler)) return false;
+                if (jobQuery) product.search_query = jobQuery;
+                if (!product.category) Object.assign(product, categoryFields);
+
+                state.saved++;
+                cell.products++;
+
+                // Records waiting for their product page are saved by the detail handler
+                if (extractDetails && product.product_url) {
+                    const detailKey = `${dedupeKey || key}#${state.saved}`;
+                    state.pendingDetails[detailKey] = product;
+                    detailRequests.push({
+                        url: product.product_url,
+                        uniqueKey: `detail|${detailKey}`,
+                        label: 'DETAIL',
+                        userData: { detailKey, zipcode: jobZip, locale: request.userData.locale },
+                    });
+                } else {
+                    finished.push(product);
+                }
+            }
 
-            const name = product.name || product.title || product.displayName || null;
+            await saveRecords(finished);
+            log.info(`📊 Progress: ${MATRIX_MODE ? `${key} ${cell.products}` : state.saved}/${RESULTS_WANTED} products saved`);
 
-            const price = product.price || product.currentPrice ||
-                product.pricing?.price || product.priceString || null;
+            // Records waiting for details are in the saved state before their pages are queued
+            if (detailRequests.length) {
+                await saveCrawlState();
+                await crawler.addRequests(detailRequests);
+            }
+            return true;
+        }
+
+        /**
+         * Save a listing page's products and enqueue detail pages and the next page.
+         * `listing` carries products already read from a GraphQL response.
+         */
+        async function handleListPage($, request, crawler, listing = null) {
+            const { retailer, zipcode: jobZip, searchQuery: jobQuery, pageNo, jobUrl, scrolled, categoryNames, locale } = request.userData;
+            const key = cellKey(request.userData);
+            const cell = coverage[key];
+            const pageUrl = request.userData.pageUrl || request.url;
+
+            log.info(`📥 Processing page ${pageNo}: ${pageUrl}`);
+            const { products, apolloData, itemIds = [] } = listing || processListingPage($, request.url, jobZip, { scrolled });
+            state.pagesProcessed++;
+            cell.pages++;
+
+            const { unknown_product_typenames: unknownTypenames } = diagnostics.recordPage({
+                url: pageUrl,
+                label: request.label,
+                apolloData,
+                products,
+            });
+            if (unknownTypenames.length && !products.some(p => p.extraction_method === 'apollo_graphql')) {
+                log.warning(`🩺 Apollo state has product-like typenames the extractor does not read: ${unknownTypenames.join(', ')}`);
+            }
 
-            const originalPrice = product.originalPrice || product.wasPrice ||
-                product.pricing?.originalPrice || null;
+            if (products.length === 0 && itemIds.length === 0) {
+                log.info(`No products found on page ${pageNo}, stopping pagination`);
+                return;
+            }
 
-            const imageUrl = product.image?.url || product.imageUrl ||
-                product.primaryImage?.url || product.thumbnail || null;
+            // Each start URL paginates on its own; stop once a page brings no new products
+            const jobKey = `${key}|${jobUrl}`;
+            const jobSeen = new Set(state.jobSeen[jobKey] || []);
+            const jobSeenBefore = jobSeen.size;
+            for (const product of products) {
+                const id = productKey(product);
+                if (id) jobSeen.add(id);
+            }
+            for (const id of itemIds) jobSeen.add(id);
+            state.jobSeen[jobKey] = [...jobSeen];
+            const hasNewProducts = jobSeen.size > jobSeenBefore;
+
+            if (!await saveListingProducts(products, request, crawler)) return;
+
+            const job = { url: jobUrl, retailer, zipcode: jobZip, searchQuery: jobQuery, categoryNames, locale };
+            const graphql = USE_GRAPHQL && !state.graphqlDisabled
+                ? (request.userData.graphql || { ...findGraphqlOperations(apolloData), cookies: request.userData.sessionCookies || null })
+                : null;
+
+            // IDs-only listings are resolved with batched Items lookups
+            if (itemIds.length && graphql?.items && !cellFull(cell)) {
+                const batches = itemBatches(graphql.items, itemIds);
+                await crawler.addRequests(batches.map((variables, batch) => {
+                    const batchRequest = buildGraphqlRequest(job, pageNo, graphql, variables, pageUrl, 'GRAPHQL_ITEMS');
+                    batchRequest.userData.batch = batch;
+                    return batchRequest;
+                }));
+                log.info(`🧩 Resolving ${itemIds.length} item IDs in ${batches.length} GraphQL batch(es)`);
+            }
 
-            const productUrl = product.url || product.permalink || product.link ||
-                (product.legacyId ? `https://www.instacart.com/store/items/item_${product.legacyId}` : null) ||
-                (id ? `https://www.instacart.com/products/${id}` : null);
+            const nextUrl = hasNewProducts && !cellFull(cell) && pageNo < MAX_PAGES
+                ? discoverNextPage($ || cheerioLoad(''), apolloData, { url: pageUrl, pageNo, scrolled })
+                : null;
+            if (nextUrl) {
+                const nextVariables = graphql?.listing
+                    ? nextPageVariables(graphql.listing.variables, extractPaginationFromApollo(apolloData), pageNo)
+                    : null;
+                await crawler.addRequests([nextVariables
+                    ? buildGraphqlRequest(job, pageNo + 1, graphql, nextVariables, nextUrl)
+                    : buildListRequest(job, pageNo + 1, nextUrl)]);
+            } else if (!hasNewProducts) {
+                log.info(`No new products on page ${pageNo}, stopping pagination`);
+            }
+        }
 
-            const size = product.size || product.packageSize || product.unitSize || null;
-            const brand = product.brand || product.brandName || null;
-            const inStock = product.inStock !== false &&
-                product.availability?.status !== 'out_of_stock' &&
-                product.isAvailable !== false;
+        /**
+         * A listing page or Items batch fetched from the GraphQL endpoint
+         */
+        async function handleGraphqlPage(body, request, crawler) {
+            const { graphql, pageUrl } = request.userData;
+            const operation = request.label === 'GRAPHQL_ITEMS' ? graphql.items : graphql.listing;
+            const data = parseGraphqlResponse(body);
+            const { products, apolloData } = extractProductsFromGraphql(operation, graphql.variables, data, pageUrl);
+            const itemIds = request.label === 'GRAPHQL' && !products.length ? collectItemIds(data) : [];
+            if (request.label === 'GRAPHQL' && !products.length && !(itemIds.length && graphql.items)) {
+                throw new Error('GraphQL response has no products');
+            }
 
-            return {
-                product_id: id,
-                name: name,
-                brand: brand,
-                price: typeof price === 'number' ? price : parsePrice(price),
-                original_price: typeof originalPrice === 'number' ? originalPrice : parsePrice(originalPrice),
-                size: size,
-                image_url: imageUrl ? cleanImageUrl(toAbs(imageUrl, baseUrl)) : null,
-                product_url: productUrl ? toAbs(productUrl, baseUrl) : null,
-                in_stock: inStock,
-                store: 'Instacart',
-                timestamp: new Date().toISOString(),
-                extraction_method: 'apollo_graphql'
-            };
+            state.graphqlRequests++;
+            state.graphqlFailures = 0;
+            if (request.label === 'GRAPHQL_ITEMS') {
+                diagnostics.recordPage({ url: request.url, label: request.label, apolloData, products });
+                await saveListingProducts(products, request, crawler);
+                return;
+            }
+            // Keep the variables of this page so the next one continues from them
+            request.userData.graphql = { ...graphql, listing: { ...graphql.listing, variables: graphql.variables } };
+            await handleListPage(null, request, crawler, { products, apolloData, itemIds });
         }
 
         /**
-         * Parse price string to number
+         * A GraphQL request failed: fetch the same page the page-based way instead. Repeated
+         * failures switch GraphQL off for the rest of the run.
          */
-        function parsePrice(priceStr) {
-            if (!priceStr) return null;
-            if (typeof priceStr === 'number') return priceStr;
-            const cleaned = String(priceStr).replace(/[^0-9.]/g, '');
-            const parsed = parseFloat(cleaned);
-            return isNaN(parsed) ? null : parsed;
+        async function fallBackToPage(request, error, crawler) {
+            const { pageNo, pageUrl, jobUrl, retailer, zipcode: jobZip, searchQuery: jobQuery, categoryNames, locale, batch } = request.userData;
+            state.graphqlFallbacks++;
+            state.graphqlFailures++;
+            if (!state.graphqlDisabled && state.graphqlFailures >= GRAPHQL_FAILURE_LIMIT) {
+                state.graphqlDisabled = true;
+                log.warning(`GraphQL failed ${state.graphqlFailures} times in a row, using HTML pages for the rest of the run`);
+            }
+            log.warning(`GraphQL request for page ${pageNo} failed (${error.message}), falling back to ${pageUrl}`);
+            const fallback = buildListRequest({ url: jobUrl, retailer, zipcode: jobZip, searchQuery: jobQuery, categoryNames, locale }, pageNo, pageUrl);
+            if (request.label === 'GRAPHQL_ITEMS') {
+                // The listing page itself was handled already: the batch's item IDs are reported,
+                // and the page retry gets a key of its own so the queue does not drop it
+                recordFailure(request, error, 'graphql');
+                fallback.uniqueKey += `#items-${batch ?? 0}`;
+            }
+            await crawler.addRequests([fallback]);
         }
 
         /**
-         * PRIORITY 2: HTML parsing fallback
+         * Walk the taxonomy: enqueue child categories, or scrape the page as a leaf listing
          */
-        function extractFromHTML($, baseUrl) {
-            const products = [];
-            try {
-                // Multiple selector strategies for Instacart
-                const selectors = [
-                    'a[href*="/products/"]',
-                    'a[href*="/store/items/"]',
-                    '[data-testid*="product"]',
-                    '[data-testid*="item-card"]',
-                    '[class*="ItemCard"]',
-                ];
-
-                const seen = new Set();
-
-                for (const selector of selectors) {
-                    $(selector).each((_, el) => {
-                        const $el = $(el);
-                        const href = $el.attr('href') || $el.find('a').first().attr('href');
-                        const fullUrl = href ? toAbs(href, baseUrl) : null;
-
-                        if (fullUrl && seen.has(fullUrl)) return;
-                        if (fullUrl) seen.add(fullUrl);
-
-                        // Find product name
-                        const name = $el.find('[class*="ItemName"], [class*="product-name"], h3, h4, [data-testid*="name"]')
-                            .first().text().trim() ||
-                            $el.attr('aria-label') ||
-                            $el.text().trim().split('\n')[0]?.trim();
-
-                        // Find price
-                        const priceText = $el.find('[class*="Price"], [data-testid*="price"]').first().text().trim();
-                        const price = parsePrice(priceText);
-
-                        // Find image - handle srcset format properly
-                        let imgSrc = $el.find('img').attr('src');
-                        if (!imgSrc) {
-                            const srcset = $el.find('img').attr('srcset');
-                            if (srcset) {
-                                // srcset format: "url1 197w, url2 394w" - get first URL
-                                imgSrc = srcset.split(',')[0]?.split(' ')[0];
-                            }
-                        }
-                        imgSrc = cleanImageUrl(imgSrc);
-
-                        if (name && name.length > 2 && name.length < 200) {
-                            products.push({
-                                name: name,
-                                price: price,
-                                image_url: imgSrc ? cleanImageUrl(toAbs(imgSrc, baseUrl)) : null,
-                                product_url: fullUrl,
-                                store: 'Instacart',
-                                in_stock: true,
-                                timestamp: new Date().toISOString(),
-                                extraction_method: 'html_parsing'
-                            });
-                        }
-                    });
-                }
+        async function handleCategoryPage($, request, crawler) {
+            const { retailer, zipcode: jobZip, categoryNames = [], locale } = request.userData;
+            const names = categoryNames.length
+                ? categoryNames
+                : categorySlugsFromUrl(request.url).map(humanizeCategorySlug);
+
+            const children = names.length < MAX_CATEGORY_DEPTH
+                ? discoverChildCategories($, extractApolloState($), request.url)
+                : [];
+
+            if (!children.length) {
+                log.info(`🍃 Leaf category: ${names.join(' > ') || request.url}`);
+                state.categoriesDiscovered++;
+                request.userData.categoryNames = names;
+                await handleListPage($, request, crawler);
+                return;
+            }
 
-                // Dedupe by name
-                const uniqueProducts = [];
-                const seenNames = new Set();
-                for (const p of products) {
-                    const key = p.name?.toLowerCase();
-                    if (key && !seenNames.has(key)) {
-                        seenNames.add(key);
-                        uniqueProducts.push(p);
-                    }
-                }
+            log.info(`🌳 ${names.join(' > ')}: ${children.length} subcategories`);
+            const cell = coverage[cellKey(request.userData)];
+            cell.urls += children.length;
+            await crawler.addRequests(children.map(child => buildListRequest({
+                url: child.url,
+                retailer,
+                zipcode: jobZip,
+                locale,
+                categoryNames: [...names, child.name],
+            }, 1, child.url, 'CATEGORY')));
+        }
 
-                log.info(`📄 HTML extraction: Found ${uniqueProducts.length} unique products`);
-                return uniqueProducts;
-            } catch (e) {
-                log.debug(`HTML extraction failed: ${e.message}`);
+        /**
+         * Merge a product page's detail fields into the pending record and save it
+         */
+        async function handleDetailPage($, request) {
+            const { detailKey } = request.userData;
+            const product = state.pendingDetails[detailKey];
+            if (!product) return;
+
+            const details = extractProductDetails($, { includeNutrition, includeReviews, product });
+            for (const [key, value] of Object.entries(details)) {
+                if (value !== null && value !== undefined) product[key] = value;
             }
-            return products;
+            state.detailsFetched++;
+
+            delete state.pendingDetails[detailKey];
+            await saveRecords([product]);
+        }
+
+        /**
+         * Save a pending record without details when its product page could not be fetched
+         */
+        async function releasePendingDetail(request) {
+            const { detailKey } = request.userData;
+            const product = state.pendingDetails[detailKey];
+            if (!product) return;
+            delete state.pendingDetails[detailKey];
+            await saveRecords([product]);
         }
 
-        // ==================== HTTP REQUEST METHOD (PRIORITY 1) ====================
+        /**
+         * Remember what a watched product's page showed, keyed by its original request
+         */
+        function recordWatchResult(request, status, details = {}) {
+            const { watch, retailer, zipcode: jobZip, jobUrl } = request.userData;
+            state.watchlist[request.uniqueKey.replace(/#browser$/, '')] = toWatchResult(watch, {
+                url: jobUrl,
+                retailer,
+                zipcode: jobZip,
+                status,
+                ...details,
+            });
+        }
 
-        async function fetchWithHTTP(url) {
-            try {
-                const response = await gotScraping({
-                    url,
-                    headers: {
-                        'User-Agent': getRandomUA(),
-                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
-                        'Accept-Language': 'en-US,en;q=0.9',
-                        'Accept-Encoding': 'gzip, deflate, br',
-                        'Cache-Control': 'no-cache',
-                        'Sec-Fetch-Dest': 'document',
-                        'Sec-Fetch-Mode': 'navigate',
-                        'Sec-Fetch-Site': 'none',
-                        'Sec-Fetch-User': '?1',
-                        'Upgrade-Insecure-Requests': '1',
-                    },
-                    timeout: { request: 30000 },
-                    retry: { limit: 2 },
-                    proxyUrl: proxyConf ? await proxyConf.newUrl() : undefined,
+        /**
+         * Save a watched product from its page, with details from the same page; a page
+         * without the product reports it as missing (or delisted when it redirected away)
+         */
+        async function handleWatchPage($, request, crawler) {
+            const { watch } = request.userData;
+            const cell = coverage[cellKey(request.userData)];
+            state.pagesProcessed++;
+            cell.pages++;
+
+            const { product, apolloData } = extractWatchedProduct($, request.url, watch);
+            diagnostics.recordPage({ url: request.url, label: request.label, apolloData, products: product ? [product] : [] });
+            if (!product) {
+                const redirected = request.loadedUrl && !isProductPageUrl(request.loadedUrl);
+                log.info(`👀 ${watch.input} is not on its product page${redirected ? ` (redirected to ${request.loadedUrl})` : ''}`);
+                recordWatchResult(request, redirected ? WATCH_STATUS.DELISTED : WATCH_STATUS.MISSING, {
+                    reason: redirected ? 'redirected' : 'not_on_page',
                 });
+                return;
+            }
 
-                if (response.statusCode === 200) {
-                    return response.body;
+            if (extractDetails) {
+                const details = extractProductDetails($, { includeNutrition, includeReviews, product });
+                for (const [key, value] of Object.entries(details)) {
+                    if (value !== null && value !== undefined) product[key] = value;
                 }
+            }
+            product.watch_key = watch.key;
+            identity.identify(product);
+            if (!await tagLocation(product, request.userData, crawler)) return;
+
+            const inStock = product.in_stock !== false;
+            recordWatchResult(request, inStock ? WATCH_STATUS.FOUND : WATCH_STATUS.OUT_OF_STOCK, { product });
+            if (!includeUnavailable && !inStock) {
+                state.unavailableSkipped++;
+                return;
+            }
+            state.saved++;
+            cell.products++;
+            await saveRecords([product]);
+        }
 
-                log.warning(`HTTP request returned status ${response.statusCode}`);
-                return null;
-            } catch (e) {
-                log.warning(`HTTP request failed: ${e.message}`);
-                return null;
+        /**
+         * Pages answering 404/410 do not exist: watched products are delisted, other URLs go to
+         * failed_requests without retries or the browser. True when the request was handled.
+         */
+        async function handleNotFound(request, statusCode, stage) {
+            if (!NOT_FOUND_STATUS_CODES.includes(statusCode) || request.label?.startsWith('GRAPHQL')) return false;
+            if (request.label === 'WATCH') {
+                log.info(`👀 ${request.userData.watch.input} is delisted (HTTP ${statusCode})`);
+                recordWatchResult(request, WATCH_STATUS.DELISTED, { reason: `status_${statusCode}`, httpStatus: statusCode });
+                return true;
             }
+            log.warning(`🚫 Not found (HTTP ${statusCode}): ${request.url}`);
+            recordFailure(request, new Error(`HTTP ${statusCode}`), stage, `status_${statusCode}`);
+            if (request.label === 'DETAIL') await releasePendingDetail(request);
+            return true;
         }
 
-        // ==================== PLAYWRIGHT FALLBACK (PRIORITY 2) ====================
+        /**
+         * A watched product's page could not be fetched at all
+         */
+        function recordWatchFailure(request, error) {
+            recordWatchResult(request, WATCH_STATUS.FAILED, { reason: blockReasonFromError(error) || 'error' });
+        }
 
-        async function fetchWithPlaywright(url) {
-            log.info(`🎭 Using Playwright stealth mode for: ${url}`);
+        /**
+         * Shared Apollo → HTML pipeline for both crawlers; GraphQL responses are read from the raw body
+         */
+        async function routePage($, request, crawler, body) {
+            if (fatalError) return;
+            if (request.label?.startsWith('GRAPHQL')) {
+                try {
+                    await handleGraphqlPage(body, request, crawler);
+                } catch (e) {
+                    await fallBackToPage(request, e, crawler);
+                }
+            } else if (request.label === 'DETAIL') {
+                await handleDetailPage($, request);
+            } else if (request.label === 'WATCH') {
+                await handleWatchPage($, request, crawler);
+            } else if (request.label === 'CATEGORY') {
+                await handleCategoryPage($, request, crawler);
+            } else {
+                await handleListPage($, request, crawler);
+            }
+        }
 
-            // Use closure variable to capture HTML from request handler
-            let extractedHtml = null;
+        // ==================== CRAWLERS ====================
 
-            const playwrightCrawler = new PlaywrightCrawler({
-                proxyConfiguration: proxyConf,
-                maxRequestRetries: 2,
-                requestHandlerTimeoutSecs: 60,
-                navigationTimeoutSecs: 30,
-                headless: true,
-                maxConcurrency: 1,
+        const requestQueue = await RequestQueue.open(requestQueueName);
+        if (requestQueueName) cleanup.push(() => requestQueue.drop());
+        const { fallbackRequests, deferredRequests, failedRequests } = state;
+        let browserAvailable = true;
 
-                launchContext: {
-                    launchOptions: {
-                        args: [
-                            '--disable-blink-features=AutomationControlled',
-                            '--disable-dev-shm-usage',
-                            '--no-sandbox',
-                            '--disable-setuid-sandbox',
-                        ],
-                    },
-                },
+        /**
+         * Throw on block/challenge pages: the session (and its proxy) is retired and
+         * the crawler retries the request with a fresh one
+         */
+        function assertNotBlocked(request, session, signals) {
+            const reason = detectBlock({ ...signals, label: request.label });
+            if (!reason) return;
+            state.blocksDetected++;
+            session?.retire();
+            log.warning(`🚧 Blocked (${reason}) on ${request.url}, retrying with a new session`);
+            throw blockedError(reason);
+        }
+
+        /**
+         * Remember why a URL could not be fetched, keyed by its original request
+         */
+        function recordFailure(request, error, stage, reason = null) {
+            const key = request.uniqueKey.replace(/#browser$/, '');
+            const blockReason = blockReasonFromError(error);
+            failedRequests[key] = {
+                url: request.url,
+                label: request.label || 'LIST',
+                reason: blockReason || reason || 'error',
+                blocked: !!blockReason,
+                error: error.message,
+                stage,
+                recovered: false,
+            };
+        }
+
+        /**
+         * Keep the cookies of the page that bootstraps GraphQL mode for the job's API calls
+         */
+        function keepSessionCookies(request, session) {
+            if (!USE_GRAPHQL || request.label === 'DETAIL' || request.label?.startsWith('GRAPHQL')) return;
+            request.userData.sessionCookies = session?.getCookieString(request.url) || null;
+        }
 
-                preNavigationHooks: [
-                    async ({ page }) => {
-                        // Block heavy resources for speed
-                        await page.route('**/*', (route) => {
-                            const resourceType = route.request().resourceType();
-                            if (['image', 'media', 'font', 'stylesheet'].includes(resourceType)) {
-                                return route.abort();
-                            }
-                            return route.continue();
-                        });
-
-                        // Stealth: Override navigator properties
-                        await page.addInitScript(() => {
-                            Object.defineProperty(navigator, 'webdriver', { get: () => false });
-                            Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3, 4, 5] });
-                            Object.defineProperty(navigator, 'languages', { get: () => ['en-US', 'en'] });
-                            window.chrome = { runtime: {} };
-                        });
-
-                        await page.setExtraHTTPHeaders({
-                            'Accept-Language': 'en-US,en;q=0.9',
-                        });
-                    },
-                ],
-
-                async requestHandler({ page }) {
-                    // Wait for content to load
-                    await page.waitForLoadState('domcontentloaded');
-                    await page.waitForTimeout(1500);
-
-                    // Get page HTML and store in closure variable
-                    extractedHtml = await page.content();
-                    log.debug(`Playwright extracted ${extractedHtml?.length || 0} chars of HTML`);
+        /**
+         * Mark a previously failed URL as fetched after all
+         */
+        function recordRecovery(request, stage) {
+            const entry = failedRequests[request.uniqueKey.replace(/#browser$/, '')];
+            if (entry) {
+                entry.recovered = true;
+                entry.stage = stage;
+            }
+        }
+
+        // Blocked status codes are handled by assertNotBlocked, not by Crawlee, so every block gets a reason
+        const sessionPoolOptions = (persistStateKey) => ({
+            maxPoolSize: SESSION_POOL_SIZE,
+            blockedStatusCodes: [],
+            persistStateKey,
+        });
+
+        // HTTP crawler (Priority 1); a fresh instance per round reuses the persisted session pool
+        const createHttpCrawler = () => new CheerioCrawler({
+            requestQueue,
+            proxyConfiguration: proxyConf,
+            maxConcurrency: MAX_CONCURRENCY,
+            maxRequestsPerMinute: MAX_REQUESTS_PER_MINUTE,
+            sameDomainDelaySecs: SAME_DOMAIN_DELAY_SECS,
+            maxRequestRetries: 2,
+            requestHandlerTimeoutSecs: 60,
+            navigationTimeoutSecs: 30,
+            useSessionPool: true,
+            sessionPoolOptions: sessionPoolOptions('HTTP_SESSION_POOL_STATE'),
+
+            preNavigationHooks: [
+                ({ request }, gotOptions) => {
+                    const { zipcode: zip, graphql, pageUrl } = request.userData;
+                    const locale = requestLocale(request.userData);
+                    const headers = request.label?.startsWith('GRAPHQL')
+                        ? buildGraphqlHeaders(zip, locale, graphql?.cookies, pageUrl)
+                        : buildHttpHeaders(zip, locale);
+                    gotOptions.headers = { ...gotOptions.headers, ...headers };
                 },
+            ],
 
-                failedRequestHandler({ request, error }) {
-                    log.debug(`Playwright failed for ${request.url}: ${error.message}`);
+            // Block statuses are checked before Crawlee parses (and rejects) the response body
+            postNavigationHooks: [
+                ({ request, response, session }) => {
+                    assertNotBlocked(request, session, { statusCode: response.statusCode });
                 },
-            });
+            ],
+
+            async requestHandler({ $, body, request, response, session, crawler }) {
+                if (RECORD_FIXTURES) await saveFixture(fixturesDir, request.url, body, { label: request.label, statusCode: response.statusCode });
+                if (await handleNotFound(request, response.statusCode, 'http')) return;
+                assertNotBlocked(request, session, { statusCode: response.statusCode, html: body, $ });
+                recordRecovery(request, 'http');
+                keepSessionCookies(request, session);
+                await routePage($, request, crawler, body);
+            },
+
+            // Requests HTTP could not fetch with any session are escalated to the browser once;
+            // failed GraphQL calls go back to their HTML page instead
+            async failedRequestHandler({ request }, error) {
+                log.warning(`HTTP request failed for ${request.url}: ${error.message}`);
+                if (request.label?.startsWith('GRAPHQL')) {
+                    await fallBackToPage(request, error, requestQueue);
+                    return;
+                }
+                recordFailure(request, error, 'http');
+                if (browserAvailable && !request.uniqueKey.endsWith('#browser')) {
+                    fallbackRequests.push({
+                        url: request.url,
+                        uniqueKey: `${request.uniqueKey}#browser`,
+                        label: request.label,
+                        userData: request.userData,
+                    });
+                } else if (request.label === 'DETAIL') {
+                    await releasePendingDetail(request);
+                } else if (request.label === 'WATCH') {
+                    recordWatchFailure(request, error);
+                }
+            },
+        });
 
-            try {
-                await playwrightCrawler.run([{ url }]);
-            } catch (e) {
-                log.warning(`Playwright crawl error: ${e.message}`);
+        /**
+         * Scroll until no more product cards load; true when scrolling loaded new products
+         */
+        async function autoScroll(page) {
+            const countProducts = () => page.locator('a[href*="/products/"], a[href*="/store/items/"]').count();
+            const initialCount = await countProducts();
+            let lastCount = initialCount;
+
+            for (let i = 0; i < MAX_PAGES; i++) {
+                await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+                await page.waitForTimeout(1500);
+                const count = await countProducts();
+                if (count <= lastCount) break;
+                lastCount = count;
             }
 
-            return extractedHtml;
+            if (lastCount > initialCount) {
+                log.debug(`Infinite scroll loaded ${lastCount - initialCount} more product cards`);
+            }
+            return lastCount > initialCount;
         }
 
-        // ==================== MAIN SCRAPING LOGIC ====================
+        // Playwright crawler (Priority 2), one browser pool reused for every fallback request
+        const createBrowserCrawler = () => new PlaywrightCrawler({
+            requestQueue,
+            proxyConfiguration: proxyConf,
+            maxConcurrency: MAX_CONCURRENCY,
+            maxRequestsPerMinute: MAX_REQUESTS_PER_MINUTE,
+            sameDomainDelaySecs: SAME_DOMAIN_DELAY_SECS,
+            maxRequestRetries: 2,
+            requestHandlerTimeoutSecs: 60,
+            navigationTimeoutSecs: 30,
+            headless: true,
+            useSessionPool: true,
+            sessionPoolOptions: sessionPoolOptions('BROWSER_SESSION_POOL_STATE'),
+
+            launchContext: {
+                // Separate contexts keep location cookies of concurrent pages apart
+                useIncognitoPages: true,
+                launchOptions: {
+                    args: [
+                        '--disable-blink-features=AutomationControlled',
+                        '--disable-dev-shm-usage',
+                        '--no-sandbox',
+                        '--disable-setuid-sandbox',
+                    ],
+                },
+            },
+
+            preNavigationHooks: [
+                async ({ page, request }) => {
+                    // Pin the delivery location before the first navigation
+                    const locationCookies = buildLocationCookies(request.userData.zipcode);
+                    if (locationCookies.length) {
+                        await page.context().addCookies(locationCookies.map(c => ({ ...c, url: request.url })));
+                    }
 
-        async function scrapeUrl(url, pageNo = 1) {
-            const products = [];
+                    // Block heavy resources for speed
+                    await page.route('**/*', (route) => {
+                        const resourceType = route.request().resourceType();
+                        if (['image', 'media', 'font', 'stylesheet'].includes(resourceType)) {
+                            return route.abort();
+                        }
+                        return route.continue();
+                    });
 
-            // Add stealth delay
-            if (pageNo > 1) {
-                await sleep(DELAY_MS_VALUE);
-            }
+                    // Stealth: Override navigator properties
+                    const locale = requestLocale(request.userData);
+                    await page.addInitScript((languages) => {
+                        Object.defineProperty(navigator, 'webdriver', { get: () => false });
+                        Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3, 4, 5] });
+                        Object.defineProperty(navigator, 'languages', { get: () => languages });
+                        window.chrome = { runtime: {} };
+                    }, acceptLanguageList(locale.acceptLanguage));
+
+                    await page.setExtraHTTPHeaders({
+                        'Accept-Language': locale.acceptLanguage,
+                    });
+                },
+            ],
 
-            log.info(`📥 Processing page ${pageNo}: ${url}`);
+            async requestHandler({ page, request, response, session, crawler }) {
+                // Wait for content to load
+                await page.waitForLoadState('domcontentloaded');
+                await page.waitForTimeout(1500);
 
-            // Try HTTP first (Priority 1)
-            let html = await fetchWithHTTP(url);
+                // Listing pages may load more products on scroll instead of paginating
+                if (request.label !== 'DETAIL' && request.label !== 'WATCH') {
+                    request.userData.scrolled = await autoScroll(page);
+                }
 
-            // If HTTP fails, use Playwright (Priority 2)
-            if (!html && !usePlaywright) {
-                log.info('⚠️ HTTP failed, switching to Playwright mode');
-                usePlaywright = true;
-            }
+                const html = await page.content();
+                log.debug(`Playwright extracted ${html?.length || 0} chars of HTML`);
+                if (RECORD_FIXTURES) {
+                    await saveFixture(fixturesDir, request.url, html, {
+                        label: request.label,
+                        scrolled: !!request.userData.scrolled,
+                        statusCode: response?.status(),
+                    });
+                }
+                if (await handleNotFound(request, response?.status(), 'browser')) return;
+                const $ = cheerioLoad(html);
+                assertNotBlocked(request, session, { statusCode: response?.status(), html, $ });
+                recordRecovery(request, 'browser');
+                keepSessionCookies(request, session);
+
+                // Pages found in the browser go back to the cheaper HTTP path in the next round
+                const deferToHttp = {
+                    addRequests: async (requests) => { deferredRequests.push(...requests); },
+                    autoscaledPool: crawler.autoscaledPool,
+                };
+                await routePage($, request, deferToHttp);
+            },
+
+            async failedRequestHandler({ request }, error) {
+                log.error(`❌ Failed to fetch: ${request.url} (${error.message})`);
+                recordFailure(request, error, 'browser');
+                if (request.label === 'DETAIL') await releasePendingDetail(request);
+                if (request.label === 'WATCH') recordWatchFailure(request, error);
+            },
+        });
+
+        // Replay crawler: recorded pages through the same pipeline, no network
+        const createReplayCrawler = () => new BasicCrawler({
+            requestQueue,
+            maxConcurrency: MAX_CONCURRENCY,
+            maxRequestRetries: 0,
+
+            async requestHandler({ request, crawler }) {
+                const fixture = await loadFixture(fixturesDir, request.url);
+                if (!fixture) throw new Error('No recorded fixture for this URL');
+                if (await handleNotFound(request, fixture.meta.statusCode, 'replay')) return;
+                if (request.label !== 'DETAIL') request.userData.scrolled = !!fixture.meta.scrolled;
+                // Recorded GraphQL responses are JSON, not pages
+                const $ = request.label?.startsWith('GRAPHQL') ? null : cheerioLoad(fixture.html);
+                assertNotBlocked(request, null, { html: fixture.html, $ });
+                await routePage($, request, crawler, fixture.html);
+            },
+
+            async failedRequestHandler({ request }, error) {
+                log.warning(`Replay skipped ${request.url}: ${error.message}`);
+                recordFailure(request, error, 'replay');
+                if (request.label === 'DETAIL') await releasePendingDetail(request);
+                if (request.label === 'WATCH') recordWatchFailure(request, error);
+            },
+        });
 
-            if (!html && usePlaywright) {
-                html = await fetchWithPlaywright(url);
-            }
+        // ==================== RUN SCRAPER ====================
 
-            if (!html) {
-                log.error(`❌ Failed to fetch: ${url}`);
-                return products;
+        // Already handled requests are skipped by the queue when a run resumes
+        await requestQueue.addRequests(jobs.map((job) => {
+            if (job.watch) return buildWatchRequest(job);
+            return discoverCategories && categorySlugsFromUrl(job.url).length
+                ? buildListRequest(job, 1, job.url, 'CATEGORY')
+                : buildListRequest(job, 1);
+        }));
+
+        if (REPLAY_FIXTURES) {
+            await createReplayCrawler().run();
+        } else {
+            // HTTP first; URLs it cannot fetch go to the browser, and whatever the browser
+            // discovers is tried over HTTP again in the next round
+            for (let round = 1; !fatalError; round++) {
+                if (round > 1) log.info(`🔁 Fetch round ${round}: back to HTTP (${deferredRequests.length} new requests)`);
+                if (deferredRequests.length) {
+                    await requestQueue.addRequests(deferredRequests);
+                    deferredRequests.length = 0;
+                }
+                await createHttpCrawler().run();
+                if (fatalError || !fallbackRequests.length) break;
+
+                log.info(`⚠️ HTTP failed for ${fallbackRequests.length} requests, retrying with Playwright`);
+                state.usedPlaywright = true;
+                await requestQueue.addRequests(fallbackRequests);
+                fallbackRequests.length = 0;
+                try {
+                    await createBrowserCrawler().run();
+                } catch (e) {
+                    // Escalated requests stay queued and get one more HTTP attempt
+                    log.warning(`Playwright crawl error: ${e.message}`);
+                    browserAvailable = false;
+                }
+                await persistCrawlState();
+                if (!deferredRequests.length && await requestQueue.isFinished()) break;
             }
+        }
 
-            // Parse HTML with Cheerio
-            const $ = cheerioLoad(html);
+        // Anything still waiting for details (e.g. fatal abort) is saved as is
+        const leftovers = Object.values(state.pendingDetails);
+        state.pendingDetails = {};
+        await saveRecords(leftovers);
+        await persistCrawlState();
 
-            // Try Apollo extraction first (Priority 1)
-            const apolloData = extractApolloState($);
-            if (apolloData) {
-                const apolloProducts = extractProductsFromApollo(apolloData, url);
-                products.push(...apolloProducts);
-            }
+        if (fatalError) throw fatalError;
 
-            // Fallback to HTML parsing if Apollo didn't yield results
-            if (products.length === 0) {
-                const htmlProducts = extractFromHTML($, url);
-                products.push(...htmlProducts);
-            }
+        // ==================== PRICE HISTORY ====================
 
-            return products;
-        }
+        const { priceChanges } = state;
+        if (trackHistory) {
+            await Actor.setValue('CHANGES', priceChanges);
+            log.info(`🕒 Price history updated (${Object.keys(history).length} tracked) | ${priceChanges.length} changes since last run`);
 
-        // ==================== RUN SCRAPER ====================
+            await Actor.setValue(SHRINKFLATION_RECORD_KEY, buildShrinkflationReport(state.shrinkflation));
+            if (state.shrinkflation.length) {
+                log.info(`📉 ${state.shrinkflation.length} product(s) shrank without a lower price (see ${SHRINKFLATION_RECORD_KEY})`);
+            }
+        }
 
-        const allProducts = [];
-        let currentPage = 1;
+        // ==================== WATCHLIST ====================
 
-        for (const startReq of initial) {
-            const url = typeof startReq === 'string' ? startReq : startReq.url;
+        let watchlistReport = null;
+        if (WATCH_MODE) {
+            // Pages never reached count as failed
+            const results = jobs.map(job => state.watchlist[buildWatchRequest(job).uniqueKey] ||
+                toWatchResult(job.watch, { url: job.url, retailer: job.retailer, zipcode: job.zipcode, status: WATCH_STATUS.FAILED, reason: 'not_fetched' }));
+            watchlistReport = buildWatchlistReport(results);
+            await Actor.setValue(WATCHLIST_RECORD_KEY, watchlistReport);
 
-            while (currentPage <= MAX_PAGES && saved < RESULTS_WANTED) {
-                const pageUrl = currentPage === 1 ? url : `${url}?page=${currentPage}`;
-                const products = await scrapeUrl(pageUrl, currentPage);
+            const { counts } = watchlistReport;
+            log.info(`👀 Watchlist: ${counts.found} found, ${counts.out_of_stock} out of stock, ${counts.missing} missing, ${counts.delisted} delisted, ${counts.failed} failed (see ${WATCHLIST_RECORD_KEY})`);
+            for (const result of watchlistReport.not_found) {
+                log.warning(`👀 ${result.status}: ${result.input} at ${result.retailer || 'default'} @ ${result.zipcode} (${result.reason})`);
+            }
+        }
 
-                if (products.length === 0) {
-                    log.info(`No products found on page ${currentPage}, stopping pagination`);
-                    break;
+        // ==================== PRICE ALERTS ====================
+
+        const { alerts } = state;
+        let alertDelivery = null;
+        if (ALERT_RULES.length) {
+            await Actor.setValue('ALERTS', alerts);
+            log.info(`🔔 ${alerts.length} price alert(s) fired`);
+            if (alertWebhookUrl && alerts.length) {
+                alertDelivery = await postWebhook(alertWebhookUrl, {
+                    event: 'price_alerts',
+                    run_id: Actor.getEnv().actorRunId || null,
+                    generated_at: new Date().toISOString(),
+                    alerts,
+                }, { secret: alertWebhookSecret });
+                if (alertDelivery.delivered) {
+                    log.info(`📨 Alerts delivered to webhook (attempt ${alertDelivery.attempts})`);
+                } else {
+                    log.error(`Alert webhook failed after ${alertDelivery.attempts} attempt(s): ${alertDelivery.error}`);
                 }
+            }
+        }
 
-                // Deduplicate and save
-                for (const product of products) {
-                    if (saved >= RESULTS_WANTED) break;
-
-                    const productKey = product.product_id || product.product_url || product.name;
-                    if (dedupe && productKey && seenProductIds.has(productKey)) continue;
-                    if (productKey) seenProductIds.add(productKey);
+        // Records were streamed out, so read this run's products back from the dataset
+        const allProducts = [];
+        await (await Dataset.open()).forEach((item, index) => {
+            if (index >= state.firstItem) allProducts.push(item);
+        });
 
-                    // Add zipcode
-                    product.zipcode = zipcode;
+        // ==================== BASKET PRICE INDEX ====================
 
-                    allProducts.push(product);
-                    saved++;
-                }
+        let priceIndex = null;
+        if (Array.isArray(basket) && basket.length) {
+            const indexStore = await Actor.openKeyValueStore(historyStoreName);
+            const storedBase = resetIndexBase ? {} : ((await indexStore.getValue(INDEX_BASE_RECORD_KEY)) || {});
+            const { base, ...result } = computeBasketIndex(basket, allProducts, storedBase);
 
-                log.info(`📊 Progress: ${saved}/${RESULTS_WANTED} products saved`);
+            await indexStore.setValue(INDEX_BASE_RECORD_KEY, base);
+            await Actor.setValue('PRICE_INDEX', result);
+            priceIndex = result;
 
-                if (saved >= RESULTS_WANTED) break;
-                currentPage++;
+            for (const cell of result.cells) {
+                const label = `${cell.retailer || 'default'} @ ${cell.zipcode}`;
+                log.info(`🧺 Basket index ${label}: ${cell.index ?? 'n/a'} (cost ${cell.basket_cost ?? 'n/a'} vs base ${cell.base_cost ?? 'n/a'}, ${cell.missing.length} missing)`);
             }
         }
 
-        // Push all data in batches
-        const BATCH_SIZE = 20;
-        for (let i = 0; i < allProducts.length; i += BATCH_SIZE) {
-            const batch = allProducts.slice(i, i + BATCH_SIZE);
-            await Dataset.pushData(batch);
-            log.info(`💾 Pushed batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(allProducts.length / BATCH_SIZE)}`);
+        // ==================== CROSS-RETAILER COMPARISON ====================
+
+        let comparison = null;
+        if (matcher) {
+            comparison = buildComparison(state.matchGroups);
+            await Actor.setValue('COMPARISON', comparison);
+            log.info(`🔗 Matched ${comparison.length} products across retailers (${Object.keys(state.matchGroups).length} groups)`);
         }
 
+        // ==================== DIAGNOSTICS ====================
+
+        const diagnosticsReport = buildDiagnosticsReport(diagnostics.data, fillRateThresholds);
+        await Actor.setValue('DIAGNOSTICS', diagnosticsReport);
+        if (!state.saved && diagnosticsReport.pages) {
+            log.warning(`🩺 No products extracted from ${diagnosticsReport.pages} page(s): Apollo key prefixes seen: ${Object.keys(diagnosticsReport.key_prefixes).join(', ') || 'none'} (see DIAGNOSTICS)`);
+        }
+        for (const { field, fill_rate: rate, minimum } of diagnosticsReport.violations) {
+            log.warning(`🩺 Fill rate of ${field} is ${rate ?? 'n/a'}, below the ${minimum} threshold`);
+        }
+
+        // ==================== CATEGORY REPORT ====================
+
+        const report = buildCategoryReport(allProducts);
+
         // Summary
-        log.info(`🎉 Completed! Saved ${saved} products from Instacart`);
+        log.info(`🎉 Completed! Saved ${state.saved} products from Instacart`);
 
         const stats = {
-            total_products_saved: saved,
+            total_products_saved: state.saved,
             target_results: RESULTS_WANTED,
-            pages_processed: currentPage,
-            zipcode: zipcode,
-            used_playwright: usePlaywright,
-            extraction_methods: [...new Set(allProducts.map(p => p.extraction_method))],
+            pages_processed: state.pagesProcessed,
+            zipcode,
+            zipcodes: ZIPCODES,
+            retailers: RETAILERS,
+            locales: [...new Set(jobs.map(job => job.locale))],
+            used_playwright: state.usedPlaywright,
+            details_fetched: state.detailsFetched,
+            unavailable_skipped: includeUnavailable ? null : state.unavailableSkipped,
+            categories_discovered: discoverCategories ? state.categoriesDiscovered : null,
+            location_mismatches: state.locationMismatches,
+            location_unverified: state.locationUnverified,
+            extraction_methods: state.extractionMethods,
+            blocks_detected: state.blocksDetected,
+            failed_requests: Object.values(failedRequests).filter(f => !f.recovered),
+            recovered_requests: Object.values(failedRequests).filter(f => f.recovered).length,
+            coverage: Object.values(coverage),
+            price_changes: trackHistory ? priceChanges.length : null,
+            shrinkflation_events: trackHistory ? state.shrinkflation.length : null,
+            price_index: priceIndex
+                ? priceIndex.cells.map(c => ({ retailer: c.retailer, zipcode: c.zipcode, index: c.index }))
+                : null,
+            matched_groups: comparison ? comparison.length : null,
+            alerts: ALERT_RULES.length ? alerts.length : null,
+            alerts_delivered: alertDelivery ? alertDelivery.delivered : null,
+            graphql_requests: USE_GRAPHQL ? state.graphqlRequests : null,
+            graphql_fallbacks: USE_GRAPHQL ? state.graphqlFallbacks : null,
+            watchlist: watchlistReport ? watchlistReport.counts : null,
+            fill_rates: diagnosticsReport.fill_rates,
+            extraction_strategies: diagnosticsReport.strategies,
+            report_groups: report.groups.length,
         };
 
         await Actor.setValue('STATS', stats);
         log.info('📈 Stats saved to key-value store');
 
+        await Actor.setValue(REPORT_RECORD_KEY, report);
+        await Actor.setValue(REPORT_HTML_RECORD_KEY, renderReportHtml(report, stats), { contentType: 'text/html; charset=utf-8' });
+        log.info(`📑 Category report saved: ${report.groups.length} rows over ${report.items} products (${REPORT_RECORD_KEY}, ${REPORT_HTML_RECORD_KEY})`);
+
+        // Every output is written: a later run on this storage starts afresh instead of resuming
+        crawlFinished = true;
+        await Actor.setValue(STATE_KEY, null);
+
+        if (FAIL_ON_LOW_FILL_RATE && diagnosticsReport.violations.length) {
+            const fields = diagnosticsReport.violations.map(v => `${v.field} ${v.fill_rate ?? 'n/a'} < ${v.minimum}`);
+            throw new Error(`Field fill rates below thresholds: ${fields.join(', ')}`);
+        }
+
+        return { stats, products: allProducts };
+    } finally {
+        for (const release of cleanup) await release();
+    }
+}
+
+/**
+ * Query API mode: serve the latest records over HTTP until the process is stopped.
+ * Records of earlier runs in the default dataset are served as they are; an empty
+ * dataset is filled by scraping the input first.
+ */
+async function serve(input) {
+    const historyStore = await Actor.openKeyValueStore(input.historyStoreName || HISTORY_STORE_NAME);
+    const catalog = createCatalog();
+    await (await Dataset.open()).forEach((item) => { catalog.add([item]); });
+
+    // Scrapes share the history store and run records, so they run one at a time
+    let scrapeChain = Promise.resolve();
+    let scrapeNo = 0;
+    const runScrape = (scrapeInput) => {
+        const run = scrapeChain.then(async () => {
+            const result = await scrape(scrapeInput, { resume: false, requestQueueName: `scrape-${Date.now()}-${++scrapeNo}` });
+            catalog.add(result.products);
+            return result;
+        });
+        scrapeChain = run.catch(() => {});
+        return run;
+    };
+
+    const server = createApiServer({
+        catalog,
+        baseInput: input,
+        loadHistory: () => loadPriceHistory(historyStore),
+        loadIdentity: () => loadIdentity(historyStore),
+        scrape: runScrape,
+    });
+
+    const port = Number(input.serverPort) || Actor.config.get('standbyPort');
+    await new Promise((resolve) => { server.listen(port, resolve); });
+    log.info(`🛰️ Query API listening on http://localhost:${port} (${catalog.size} products loaded)`);
+
+    if (!catalog.size) {
+        log.info('🛰️ No records yet, scraping the input first');
+        runScrape(input).catch((error) => { log.error(`Initial scrape failed: ${error.message}`); });
+    }
+
+    await new Promise((resolve) => {
+        for (const signal of ['SIGINT', 'SIGTERM']) process.once(signal, resolve);
+    });
+    log.info('🛰️ Shutting down the query API');
+    await new Promise((resolve) => { server.close(resolve); });
+}
+
+async function main() {
+    // Actor.exit() ends the process, so a failed run must pass its exit code explicitly
+    let exitCode = 0;
+    try {
+        const input = (await Actor.getInput()) || {};
+        if (input.serverMode || Actor.config.get('metaOrigin') === 'STANDBY') {
+            await serve(input);
+        } else {
+            await scrape(input);
+        }
     } catch (error) {
-        log.error('Actor failed:', error);
+        log.exception(error, 'Actor failed');
+        exitCode = 1;
         throw error;
     } finally {
-        await Actor.exit();
+        await Actor.exit({ exitCode });
     }
 }
 
 main().catch(err => {
-    console.error('Fatal error:', err);
+    log.exception(err, 'Fatal error');
     process.exit(1);
 });
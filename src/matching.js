@@ -0,0 +1,257 @@
+// Cross-retailer product matching on GTIN or brand + name + size similarity
+
+import { createHash } from 'node:crypto';
+
+import { cellKey } from './identity.js';
+import { parseSize } from './units.js';
+import { round } from './utils.js';
+
+export const DEFAULT_MATCH_THRESHOLD = 0.8;
+
+// Factors applied when only one side has a brand / size to compare
+const MISSING_BRAND_FACTOR = 0.9;
+const MISSING_SIZE_FACTOR = 0.9;
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'with', 'in', 'for', 'by', 'each', 'pack', 'bag', 'bunch']);
+const SIZE_TEXT = /\b\d+(?:\.\d+)?\s*(?:x\s*\d+(?:\.\d+)?\s*)?(?:fl\.?\s*oz|oz|lbs?|g|kg|ml|l|gal|qt|pt|ct|count|pk|pack)\b\.?/g;
+
+/**
+ * Normalize a UPC/EAN/GTIN to 14 digits, or null when it is not a valid GTIN
+ */
+export function normalizeGtin(raw) {
+    if (raw === null || raw === undefined) return null;
+    const digits = String(raw).replace(/\D/g, '');
+    if (![8, 12, 13, 14].includes(digits.length)) return null;
+    const gtin = digits.padStart(14, '0');
+
+    // GS1 mod-10 check digit
+    let sum = 0;
+    for (let i = 0; i < 13; i++) sum += +gtin[i] * (i % 2 === 0 ? 3 : 1);
+    return (10 - (sum % 10)) % 10 === +gtin[13] ? gtin : null;
+}
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9. ]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Name tokens without brand words, sizes, stopwords and plural endings
+ */
+function nameTokens(name, brand) {
+    const brandWords = new Set(normalizeText(brand).split(' ').filter(Boolean));
+    const tokens = normalizeText(name)
+        .replace(SIZE_TEXT, ' ')
+        .replace(/\./g, ' ')
+        .split(' ')
+        .filter(t => t && !STOPWORDS.has(t) && !brandWords.has(t))
+        .map(t => (t.length > 3 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+    return [...new Set(tokens)].sort();
+}
+
+/**
+ * Comparable identity of a product record
+ */
+export function matchSignature(product) {
+    const brand = normalizeText(product.brand).replace(/\b(?:inc|llc|co|company|brands?)\b\.?/g, '').trim() || null;
+    const size = product.size ? parseSize(product.size) : null;
+    return {
+        gtin: normalizeGtin(product.gtin),
+        brand,
+        tokens: nameTokens(product.name, product.brand),
+        size: size ? { quantity: size.quantity, unit: size.unit, per_unit: size.per_unit } : null,
+        rawSize: product.size ? normalizeText(product.size) : null,
+    };
+}
+
+/**
+ * Dice coefficient of two sorted token lists
+ */
+function dice(a, b) {
+    if (!a.length || !b.length) return 0;
+    const setB = new Set(b);
+    const common = a.filter(t => setB.has(t)).length;
+    return (2 * common) / (a.length + b.length);
+}
+
+/**
+ * Similarity of two signatures in [0, 1]; 0 when GTIN, brand or size rule them out
+ */
+export function signatureSimilarity(a, b) {
+    if (a.gtin && b.gtin) return a.gtin === b.gtin ? 1 : 0;
+
+    let factor = 1;
+    if (a.brand && b.brand) {
+        if (a.brand !== b.brand) return 0;
+    } else if (a.brand || b.brand) {
+        factor *= MISSING_BRAND_FACTOR;
+    }
+
+    if (a.size && b.size) {
+        const sameSize = a.size.unit === b.size.unit
+            && a.size.per_unit === b.size.per_unit
+            && Math.abs(a.size.quantity - b.size.quantity) <= 0.02 * Math.max(a.size.quantity, b.size.quantity);
+        if (!sameSize) return 0;
+    } else if (a.rawSize && b.rawSize && !a.size && !b.size) {
+        if (a.rawSize !== b.rawSize) return 0;
+    } else if (a.rawSize || b.rawSize) {
+        factor *= MISSING_SIZE_FACTOR;
+    }
+
+    return round(dice(a.tokens, b.tokens) * factor, 3);
+}
+
+/**
+ * Stable group ID for a founding signature
+ */
+function groupId(signature, salt = '') {
+    if (signature.gtin && !salt) return `gtin-${signature.gtin}`;
+    const size = signature.size ? `${signature.size.quantity}${signature.size.unit}` : (signature.rawSize || '');
+    const key = `${signature.brand || ''}|${signature.tokens.join(' ')}|${size}${salt ? `|${salt}` : ''}`;
+    return `mg-${createHash('sha1').update(key).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * True when a group member is the record's product (same product_key, else same product_id)
+ */
+function sameProduct(member, product) {
+    if (member.product_key && product.product_key) return member.product_key === product.product_key;
+    return !!member.product_id && member.product_id === product.product_id;
+}
+
+/**
+ * Compact member entry kept per group for the comparison output
+ */
+function toMember(product, score) {
+    return {
+        retailer: product.retailer || null,
+        zipcode: product.zipcode || null,
+        product_id: product.product_id || null,
+        product_key: product.product_key || null,
+        name: product.name || null,
+        brand: product.brand || null,
+        size: product.size || null,
+        price: product.price ?? null,
+        price_per_unit: product.price_per_unit ?? null,
+        effective_price: product.effective_price ?? null,
+        in_stock: product.in_stock ?? null,
+        product_url: product.product_url || null,
+        match_score: score,
+    };
+}
+
+/**
+ * Online matcher over a persisted groups object ({ [id]: group }).
+ * `match(product)` assigns the product to a group and returns its match fields.
+ */
+export function createProductMatcher(groups = {}, { threshold = DEFAULT_MATCH_THRESHOLD } = {}) {
+    const byGtin = new Map();
+    const byToken = new Map();
+
+    const index = (group) => {
+        if (group.gtin) byGtin.set(group.gtin, group.id);
+        for (const token of group.signature.tokens) {
+            if (!byToken.has(token)) byToken.set(token, new Set());
+            byToken.get(token).add(group.id);
+        }
+    };
+    Object.values(groups).forEach(index);
+
+    const addMember = (group, product, score) => {
+        group.members.push(toMember(product, score));
+        const cell = cellKey(product);
+        if (!group.cells.includes(cell)) group.cells.push(cell);
+    };
+
+    function match(product) {
+        const signature = matchSignature(product);
+        const cell = cellKey(product);
+
+        // Same GTIN, same product
+        if (signature.gtin && byGtin.has(signature.gtin)) {
+            const group = groups[byGtin.get(signature.gtin)];
+            addMember(group, product, 1);
+            return { gtin: signature.gtin, match_group_id: group.id, match_method: 'gtin', match_score: 1 };
+        }
+
+        // Best similar group sharing at least one name token
+        let best = null;
+        const candidates = new Set(signature.tokens.flatMap(t => [...(byToken.get(t) || [])]));
+        for (const id of candidates) {
+            const group = groups[id];
+            if (signature.gtin && group.gtin && signature.gtin !== group.gtin) continue;
+            // A retailer does not list the same product twice under different IDs
+            if (group.cells.includes(cell) && !group.members.some(m => sameProduct(m, product))) continue;
+            const score = signatureSimilarity(signature, group.signature);
+            if (score >= threshold && (!best || score > best.score)) best = { group, score };
+        }
+
+        if (best) {
+            addMember(best.group, product, best.score);
+            if (signature.gtin && !best.group.gtin) {
+                best.group.gtin = signature.gtin;
+                byGtin.set(signature.gtin, best.group.id);
+            }
+            return { gtin: signature.gtin, match_group_id: best.group.id, match_method: 'similarity', match_score: best.score };
+        }
+
+        // Founding member of a new group; a look-alike from a retailer already in the
+        // natural group gets an ID of its own
+        let id = groupId(signature);
+        if (groups[id]) id = groupId(signature, `${cell}|${product.product_key || product.product_id || product.name}`);
+        const group = { id, gtin: signature.gtin, signature, cells: [], members: [] };
+        groups[id] = group;
+        index(group);
+        addMember(group, product, 1);
+        return {
+            gtin: signature.gtin,
+            match_group_id: id,
+            match_method: signature.gtin ? 'gtin' : 'similarity',
+            match_score: 1,
+        };
+    }
+
+    return { match, groups };
+}
+
+/**
+ * Comparison rows for groups offered by at least `minRetailers` retailers:
+ * every member's price side by side plus the spread
+ */
+export function buildComparison(groups, { minRetailers = 2 } = {}) {
+    const rows = [];
+    for (const group of Object.values(groups)) {
+        const retailers = [...new Set(group.members.map(m => m.retailer || 'default'))];
+        if (retailers.length < minRetailers) continue;
+
+        const offers = [...group.members].sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
+        const priced = offers.filter(o => typeof o.price === 'number');
+        const lowest = priced.length ? priced[0].price : null;
+        const highest = priced.length ? priced[priced.length - 1].price : null;
+        const founder = group.members[0];
+
+        rows.push({
+            match_group_id: group.id,
+            gtin: group.gtin || null,
+            name: founder.name,
+            brand: founder.brand,
+            size: founder.size,
+            retailers: retailers.length,
+            lowest_price: lowest,
+            highest_price: highest,
+            price_spread: lowest !== null ? round(highest - lowest) : null,
+            cheapest_retailer: priced.length ? priced[0].retailer : null,
+            offers,
+        });
+    }
+    return rows.sort((a, b) => b.retailers - a.retailers || (b.price_spread ?? 0) - (a.price_spread ?? 0));
+}
@@ -0,0 +1,89 @@
+// Pagination discovery from the Apollo state and HTML "next" links
+import { log } from 'apify';
+
+import { toAbs } from './utils.js';
+
+/**
+ * Return the URL with one query parameter set, keeping the existing query string
+ */
+export function withQueryParam(url, name, value) {
+    try {
+        const parsed = new URL(url);
+        parsed.searchParams.set(name, String(value));
+        return parsed.href;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Read hasNextPage / cursor / next page fields exposed in the Apollo state
+ */
+export function extractPaginationFromApollo(apolloData) {
+    const pagination = { hasNextPage: null, cursor: null, nextPage: null };
+    if (!apolloData || typeof apolloData !== 'object') return pagination;
+
+    const visit = (obj, depth = 0) => {
+        if (!obj || typeof obj !== 'object' || depth > 6) return;
+
+        if (pagination.hasNextPage === null && typeof obj.hasNextPage === 'boolean') {
+            pagination.hasNextPage = obj.hasNextPage;
+        }
+        if (pagination.hasNextPage === null && typeof obj.hasMore === 'boolean') {
+            pagination.hasNextPage = obj.hasMore;
+        }
+
+        const cursor = obj.endCursor ?? obj.nextCursor ?? obj.after;
+        if (!pagination.cursor && typeof cursor === 'string' && cursor) {
+            pagination.cursor = cursor;
+        }
+
+        const nextPage = obj.nextPage ?? obj.nextPageNumber;
+        if (pagination.nextPage === null && Number.isInteger(+nextPage) && +nextPage > 0 && typeof nextPage !== 'object') {
+            pagination.nextPage = +nextPage;
+        }
+
+        for (const [key, value] of Object.entries(obj)) {
+            if (key.startsWith('__') || !value || typeof value !== 'object') continue;
+            visit(value, depth + 1);
+        }
+    };
+
+    try {
+        visit(apolloData);
+    } catch (e) {
+        log.debug(`Apollo pagination extraction failed: ${e.message}`);
+    }
+    return pagination;
+}
+
+/**
+ * Find a "next page" link in the HTML
+ */
+export function extractNextLinkFromHTML($, baseUrl) {
+    const href = $('link[rel="next"]').attr('href') ||
+        $('a[rel="next"]').attr('href') ||
+        $('a[aria-label*="Next" i], [data-testid*="pagination-next"] a, a[data-testid*="pagination-next"]').first().attr('href');
+    return href ? toAbs(href, baseUrl) : null;
+}
+
+/**
+ * Decide the next listing URL from what the page exposes, or null to stop
+ */
+export function discoverNextPage($, apolloData, { url, pageNo, scrolled = false }) {
+    const pagination = extractPaginationFromApollo(apolloData);
+
+    if (pagination.hasNextPage === false) return null;
+
+    const nextLink = extractNextLinkFromHTML($, url);
+    if (nextLink && nextLink !== url) return nextLink;
+
+    if (pagination.cursor) return withQueryParam(url, 'after', pagination.cursor);
+    if (pagination.nextPage) return withQueryParam(url, 'page', pagination.nextPage);
+
+    // Infinite scroll already loaded everything the browser could reach
+    if (scrolled) return null;
+
+    // Nothing exposed: probe the next page number, stopped by the no-new-products check
+    return withQueryParam(url, 'page', pageNo + 1);
+}
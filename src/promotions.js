@@ -0,0 +1,335 @@
+// Promotions, coupons and loyalty prices, normalized to one deal shape
+
+import { computeUnitPrice } from './units.js';
+import { parsePrice, round } from './utils.js';
+
+export const PROMOTION_TYPES = {
+    SALE: 'sale',
+    BOGO: 'bogo',
+    MULTI_BUY: 'multi_buy',
+    COUPON: 'coupon',
+    LOYALTY: 'loyalty',
+};
+
+const WORD_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, ten: 10 };
+const QTY = '(\\d+|one|two|three|four|five|six|ten)';
+// "$5", "$1.99" or, in French, "5,00 $": one group, read with parsePrice
+const MONEY = '(\\$\\s?\\d+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?\\s?\\$)';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE = '(\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.? \\d{1,2}(?:,? \\d{4})?)';
+
+const COUPON_PATTERN = /coupon|\bclip\b|digital (?:offer|deal)/;
+const LOYALTY_PATTERN = /club|loyalty|member|membre|rewards?\b|with (?:your |store )?card|card ?holder|avec (?:votre |la )?carte/;
+const SALE_PATTERN = /\bsale\b|\bsave\b|\boff\b|\bdeal\b|special|\bwas\b|price drop|rollback|économisez|épargnez|rabais|aubaine|\bsolde/;
+
+const PROMOTION_BADGE_SELECTOR = [
+    '[class*="Promo"]', '[class*="Deal"]', '[class*="Coupon"]', '[class*="Loyalty"]',
+    '[data-testid*="promo"]', '[data-testid*="deal"]', '[data-testid*="coupon"]', '[data-testid*="loyalty"]',
+].join(', ');
+
+const toQuantity = raw => WORD_NUMBERS[String(raw).toLowerCase()] ?? parseFloat(raw);
+
+/**
+ * Empty deal record with every field present
+ */
+function emptyDeal(type, description) {
+    return {
+        type,
+        description,
+        min_quantity: 1,
+        buy_quantity: null,
+        get_quantity: null,
+        get_discount_percent: null,
+        deal_price: null,
+        savings: null,
+        discount_percent: null,
+        requires_coupon: false,
+        requires_loyalty: false,
+        valid_from: null,
+        valid_until: null,
+        effective_price: null,
+        effective_price_per_unit: null,
+    };
+}
+
+/**
+ * Parse a promotion date ("1/31", "01/31/2026", "Jan 31", "2026-01-31T00:00:00Z") to YYYY-MM-DD.
+ * Dates without a year are placed in the year that keeps them closest to `now`.
+ */
+export function parsePromotionDate(raw, now = new Date()) {
+    if (!raw) return null;
+    const text = String(raw).trim().toLowerCase();
+
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+
+    let month;
+    let day;
+    let year;
+    const numeric = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+    const named = text.match(/^([a-z]{3})[a-z]*\.? (\d{1,2})(?:,? (\d{4}))?$/);
+    if (numeric) {
+        [month, day, year] = [+numeric[1], +numeric[2], numeric[3]];
+    } else if (named && MONTHS.includes(named[1])) {
+        [month, day, year] = [MONTHS.indexOf(named[1]) + 1, +named[2], named[3]];
+    } else {
+        return null;
+    }
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+    if (year) {
+        year = +year < 100 ? 2000 + +year : +year;
+    } else {
+        year = now.getUTCFullYear();
+        const candidate = Date.UTC(year, month - 1, day);
+        const sixMonths = 183 * 24 * 3600 * 1000;
+        if (candidate < now.getTime() - sixMonths) year++;
+        else if (candidate > now.getTime() + sixMonths) year--;
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Read "valid 1/1 - 1/31", "ends 1/31", "expires Jan 31, 2026" style validity
+ */
+function parseValidity(text, now) {
+    const range = text.match(new RegExp(`${DATE}\\s*(?:-|–|to|through|thru)\\s*${DATE}`));
+    if (range) {
+        // A start date without a year belongs to the year of the end date
+        const validUntil = parsePromotionDate(range[2], now);
+        const validFrom = parsePromotionDate(range[1], validUntil ? new Date(`${validUntil}T00:00:00Z`) : now);
+        return { valid_from: validFrom, valid_until: validUntil };
+    }
+
+    const until = text.match(new RegExp(`(?:until|thru|through|ends?|expires?|exp\\.?|valid to)\\s*:?\\s*${DATE}`));
+    if (until) return { valid_from: null, valid_until: parsePromotionDate(until[1], now) };
+
+    const from = text.match(new RegExp(`(?:starts?|from|begins?)\\s*:?\\s*${DATE}`));
+    return { valid_from: from ? parsePromotionDate(from[1], now) : null, valid_until: null };
+}
+
+/**
+ * Parse a promotion label into a deal, or null when the text is not a promotion.
+ * `coupon` / `loyalty` mark labels that come from a coupon or loyalty offer.
+ */
+export function parsePromotionText(raw, { now = new Date(), coupon = false, loyalty = false } = {}) {
+    if (typeof raw !== 'string' || !raw.trim()) return null;
+    const description = raw.replace(/\s+/g, ' ').trim();
+    const text = description.toLowerCase();
+
+    const requiresCoupon = coupon || COUPON_PATTERN.test(text);
+    const requiresLoyalty = loyalty || LOYALTY_PATTERN.test(text);
+    let deal = null;
+
+    const bogo = text.match(new RegExp(`buy ${QTY},? get ${QTY}(?: \\w+)? (free|(\\d+)% off|half off)`));
+    const multiFor = text.match(new RegExp(`\\b${QTY} (?:for|pour) ${MONEY}`));
+    const buySave = text.match(new RegExp(`buy ${QTY},? (?:and )?save (?:${MONEY}|(\\d+)%)`))
+        || text.match(new RegExp(`save (?:${MONEY}|(\\d+)%)(?: each)? when you buy ${QTY}`));
+    const savedMoney = text.match(new RegExp(`(?:save|get|économisez|épargnez) ${MONEY}|${MONEY} (?:off|de rabais)`));
+    const savedPercent = text.match(/(\d+) ?% (?:off|de rabais)|(?:save|économisez|épargnez) (\d+) ?%/);
+    const price = text.match(new RegExp(MONEY));
+
+    if (/\bbogo\b/.test(text) || bogo) {
+        deal = emptyDeal(PROMOTION_TYPES.BOGO, description);
+        let percent = 100;
+        if (bogo?.[4]) percent = +bogo[4];
+        else if (/half off|50% off/.test(text)) percent = 50;
+        deal.buy_quantity = bogo ? toQuantity(bogo[1]) : 1;
+        deal.get_quantity = bogo ? toQuantity(bogo[2]) : 1;
+        deal.get_discount_percent = percent;
+        deal.min_quantity = deal.buy_quantity + deal.get_quantity;
+    } else if (multiFor) {
+        deal = emptyDeal(PROMOTION_TYPES.MULTI_BUY, description);
+        deal.min_quantity = toQuantity(multiFor[1]);
+        deal.deal_price = parsePrice(multiFor[2]);
+    } else if (buySave) {
+        deal = emptyDeal(PROMOTION_TYPES.MULTI_BUY, description);
+        // The two patterns capture quantity first or last
+        const [quantity, money, percent] = buySave[0].startsWith('buy')
+            ? [buySave[1], buySave[2], buySave[3]]
+            : [buySave[3], buySave[1], buySave[2]];
+        deal.min_quantity = toQuantity(quantity);
+        deal.savings = money ? parsePrice(money) : null;
+        deal.discount_percent = percent ? +percent : null;
+    } else if (requiresCoupon && (savedMoney || savedPercent)) {
+        deal = emptyDeal(PROMOTION_TYPES.COUPON, description);
+        deal.savings = savedMoney ? parsePrice(savedMoney[1] ?? savedMoney[2]) : null;
+        deal.discount_percent = !savedMoney && savedPercent ? +(savedPercent[1] ?? savedPercent[2]) : null;
+    } else if (requiresLoyalty && (savedMoney || savedPercent || price)) {
+        deal = emptyDeal(PROMOTION_TYPES.LOYALTY, description);
+        if (savedMoney) deal.savings = parsePrice(savedMoney[1] ?? savedMoney[2]);
+        else if (savedPercent) deal.discount_percent = +(savedPercent[1] ?? savedPercent[2]);
+        else deal.deal_price = parsePrice(price[1]);
+    } else if (SALE_PATTERN.test(text) || requiresCoupon) {
+        deal = emptyDeal(requiresCoupon ? PROMOTION_TYPES.COUPON : PROMOTION_TYPES.SALE, description);
+        if (savedMoney) deal.savings = parsePrice(savedMoney[1] ?? savedMoney[2]);
+        else if (savedPercent) deal.discount_percent = +(savedPercent[1] ?? savedPercent[2]);
+    }
+
+    if (!deal) return null;
+    deal.requires_coupon = requiresCoupon;
+    deal.requires_loyalty = requiresLoyalty;
+    Object.assign(deal, parseValidity(text, now));
+    return deal;
+}
+
+/**
+ * Turn an Apollo promotion/coupon/offer entry into a deal
+ */
+function dealFromApolloEntry(entry, { coupon = false, now } = {}) {
+    if (typeof entry === 'string') return parsePromotionText(entry, { now, coupon });
+    if (!entry || typeof entry !== 'object') return null;
+
+    const text = entry.description || entry.text || entry.label || entry.title || entry.name ||
+        entry.promotionString || entry.dealString || entry.terms || null;
+    const kind = String(entry.type || entry.promotionType || entry.__typename || '').toLowerCase();
+    const isCoupon = coupon || kind.includes('coupon');
+    const isLoyalty = !!(entry.requiresLoyalty || entry.loyalty || kind.includes('loyalty'));
+    const deal = parsePromotionText(text, { now, coupon: isCoupon, loyalty: isLoyalty })
+        || (isCoupon ? { ...emptyDeal(PROMOTION_TYPES.COUPON, text), requires_coupon: true } : null);
+    if (!deal) return null;
+    if (deal.savings === null && deal.discount_percent === null && deal.deal_price === null) {
+        const amount = parsePrice(entry.savings ?? entry.discount ?? entry.amount ?? entry.value?.amount ?? null);
+        if (amount) deal.savings = amount;
+    }
+    deal.valid_from = parsePromotionDate(entry.startDate || entry.startsAt || entry.validFrom, now) || deal.valid_from;
+    deal.valid_until = parsePromotionDate(
+        entry.endDate || entry.endsAt || entry.expiresAt || entry.expirationDate || entry.validUntil,
+        now,
+    ) || deal.valid_until;
+    return deal;
+}
+
+/**
+ * Collect deals from an Apollo product/item object
+ */
+export function extractPromotionsFromApollo(item, { now = new Date() } = {}) {
+    if (!item || typeof item !== 'object') return [];
+    const deals = [];
+
+    for (const key of ['promotions', 'deals', 'offers', 'specials', 'coupons']) {
+        const value = item[key];
+        const entries = Array.isArray(value) ? value : [value].filter(Boolean);
+        for (const entry of entries) deals.push(dealFromApolloEntry(entry, { coupon: key === 'coupons', now }));
+    }
+    if (item.coupon) deals.push(dealFromApolloEntry(item.coupon, { coupon: true, now }));
+
+    // Display strings on the item and its view sections
+    for (const source of [item, item.viewSection, item.price?.viewSection, item.pricing]) {
+        if (!source || typeof source !== 'object') continue;
+        for (const key of ['promotionString', 'dealString', 'couponString', 'loyaltyPriceString', 'promotionLabel']) {
+            if (typeof source[key] === 'string') deals.push(parsePromotionText(source[key], { now }));
+        }
+    }
+
+    // Numeric loyalty-card prices
+    const loyaltyPrice = parsePrice(item.loyaltyPrice ?? item.clubPrice ?? item.memberPrice ??
+        item.pricing?.loyaltyPrice ?? item.price?.loyaltyPrice ?? null);
+    if (loyaltyPrice) {
+        const deal = emptyDeal(PROMOTION_TYPES.LOYALTY, null);
+        deal.deal_price = loyaltyPrice;
+        deal.requires_loyalty = true;
+        deals.push(deal);
+    }
+
+    return uniqueDeals(deals);
+}
+
+/**
+ * Collect deals from the promotion badges of a rendered product card
+ */
+export function extractPromotionsFromCard($card, { now = new Date() } = {}) {
+    const $badges = $card.find(PROMOTION_BADGE_SELECTOR);
+    const deals = [];
+    $badges.each((i) => {
+        deals.push(parsePromotionText($badges.eq(i).text(), { now }));
+    });
+    return uniqueDeals(deals);
+}
+
+/**
+ * Drop empty and repeated deals
+ */
+function uniqueDeals(deals) {
+    const seen = new Set();
+    return deals.filter((deal) => {
+        if (!deal) return false;
+        const key = `${deal.type}|${deal.description}|${deal.deal_price}|${deal.savings}|${deal.discount_percent}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Price per item when a deal is taken in full
+ */
+export function computeEffectivePrice(deal, price) {
+    const hasPrice = typeof price === 'number' && Number.isFinite(price) && price > 0;
+    let effective = null;
+
+    if (deal.deal_price !== null) {
+        effective = deal.deal_price / (deal.min_quantity || 1);
+    } else if (!hasPrice) {
+        return null;
+    } else if (deal.type === PROMOTION_TYPES.BOGO) {
+        const paid = deal.buy_quantity * price + deal.get_quantity * price * (1 - deal.get_discount_percent / 100);
+        effective = paid / (deal.buy_quantity + deal.get_quantity);
+    } else if (deal.type === PROMOTION_TYPES.SALE) {
+        // Sale badges describe the discount already applied to the listed price
+        effective = price;
+    } else if (deal.savings !== null) {
+        effective = (deal.min_quantity * price - deal.savings) / deal.min_quantity;
+    } else if (deal.discount_percent !== null) {
+        effective = price * (1 - deal.discount_percent / 100);
+    } else {
+        effective = price;
+    }
+    return round(Math.max(0, effective));
+}
+
+/**
+ * Add sale/regular/loyalty prices, the deal list and the best effective price to a product record
+ */
+export function addPromotionPricing(product, deals = []) {
+    if (!product || typeof product !== 'object') return product;
+    const price = typeof product.price === 'number' ? product.price : null;
+    const originalPrice = typeof product.original_price === 'number' ? product.original_price : null;
+    const onSale = price !== null && originalPrice !== null && originalPrice > price;
+
+    const promotions = [...deals];
+    if (onSale && !promotions.some(d => d.type === PROMOTION_TYPES.SALE)) {
+        const sale = emptyDeal(PROMOTION_TYPES.SALE, null);
+        sale.savings = round(originalPrice - price);
+        promotions.unshift(sale);
+    } else if (onSale) {
+        for (const deal of promotions) {
+            if (deal.type === PROMOTION_TYPES.SALE && deal.savings === null) deal.savings = round(originalPrice - price);
+        }
+    }
+
+    for (const deal of promotions) {
+        deal.effective_price = computeEffectivePrice(deal, price);
+        deal.effective_price_per_unit = deal.effective_price !== null
+            ? computeUnitPrice(deal.effective_price, product.size).price_per_unit
+            : null;
+    }
+
+    const best = promotions
+        .filter(d => d.effective_price !== null)
+        .reduce((min, d) => (!min || d.effective_price < min.effective_price ? d : min), null);
+    const effectivePrice = best && (price === null || best.effective_price <= price) ? best.effective_price : price;
+
+    const loyalty = promotions.find(d => d.type === PROMOTION_TYPES.LOYALTY && d.effective_price !== null);
+
+    product.regular_price = originalPrice ?? price;
+    product.sale_price = onSale ? price : null;
+    product.loyalty_price = loyalty ? loyalty.effective_price : null;
+    product.promotions = promotions;
+    product.promotion_type = best && effectivePrice === best.effective_price ? best.type : null;
+    product.effective_price = effectivePrice;
+    product.effective_price_per_unit = effectivePrice !== null
+        ? computeUnitPrice(effectivePrice, product.size).price_per_unit
+        : null;
+    return product;
+}
@@ -0,0 +1,179 @@
+// Category-level price statistics (REPORT record and its HTML summary)
+
+import { round } from './utils.js';
+
+export const REPORT_RECORD_KEY = 'REPORT';
+export const REPORT_HTML_RECORD_KEY = 'REPORT_HTML';
+
+/**
+ * Linear-interpolated percentile (0-100) of an ascending list
+ */
+export function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const low = Math.floor(rank);
+    const high = Math.ceil(rank);
+    return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+}
+
+/**
+ * count, min, percentiles, median, mean and max of a list of numbers (null when empty)
+ */
+export function summarizeValues(values, digits = 2) {
+    const sorted = values.filter(v => typeof v === 'number' && Number.isFinite(v)).sort((a, b) => a - b);
+    if (!sorted.length) return null;
+    const at = p => round(percentile(sorted, p), digits);
+    return {
+        count: sorted.length,
+        min: round(sorted[0], digits),
+        p10: at(10),
+        p25: at(25),
+        median: at(50),
+        mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length, digits),
+        p75: at(75),
+        p90: at(90),
+        max: round(sorted[sorted.length - 1], digits),
+    };
+}
+
+/**
+ * Empty accumulator for one report row
+ */
+function newGroup(fields) {
+    return { ...fields, items: 0, prices: [], unitPrices: {}, onSale: 0, promoted: 0, outOfStock: 0, stockKnown: 0 };
+}
+
+/**
+ * Add a record to a row
+ */
+function addToGroup(group, product) {
+    group.items++;
+    if (typeof product.price === 'number') group.prices.push(product.price);
+    if (typeof product.price_per_unit === 'number' && product.unit) {
+        (group.unitPrices[product.unit] ||= []).push(product.price_per_unit);
+    }
+    if (product.sale_price !== null && product.sale_price !== undefined) group.onSale++;
+    if (Array.isArray(product.promotions) && product.promotions.length) group.promoted++;
+    if (typeof product.in_stock === 'boolean') {
+        group.stockKnown++;
+        if (!product.in_stock) group.outOfStock++;
+    }
+}
+
+/**
+ * Final row: price and per-unit statistics plus sale and stock shares
+ */
+function finishGroup(group) {
+    const { prices, unitPrices, onSale, promoted, outOfStock, stockKnown, ...fields } = group;
+    return {
+        ...fields,
+        price: summarizeValues(prices),
+        unit_price: Object.fromEntries(Object.entries(unitPrices)
+            .sort(([, a], [, b]) => b.length - a.length)
+            .map(([unit, values]) => [unit, summarizeValues(values, 4)])),
+        on_sale_share: round(onSale / group.items, 3),
+        promoted_share: round(promoted / group.items, 3),
+        out_of_stock_share: stockKnown ? round(outOfStock / stockKnown, 3) : null,
+    };
+}
+
+/**
+ * The REPORT record: one row per category and per subcategory in each retailer / zipcode / currency
+ */
+export function buildCategoryReport(products, { generatedAt = new Date().toISOString() } = {}) {
+    const groups = new Map();
+    const add = (level, product, subcategory) => {
+        const fields = {
+            level,
+            category: product.category || null,
+            subcategory,
+            retailer: product.retailer || null,
+            zipcode: product.zipcode || null,
+            currency: product.currency || null,
+        };
+        const key = JSON.stringify(Object.values(fields));
+        if (!groups.has(key)) groups.set(key, newGroup(fields));
+        addToGroup(groups.get(key), product);
+    };
+
+    for (const product of products) {
+        add('category', product, null);
+        if (product.subcategory) add('subcategory', product, product.subcategory);
+    }
+
+    const rows = [...groups.values()].map(finishGroup).sort((a, b) =>
+        String(a.category ?? '').localeCompare(String(b.category ?? ''))
+        || String(a.subcategory ?? '').localeCompare(String(b.subcategory ?? ''))
+        || String(a.retailer ?? '').localeCompare(String(b.retailer ?? ''))
+        || String(a.zipcode ?? '').localeCompare(String(b.zipcode ?? '')));
+
+    return { generated_at: generatedAt, items: products.length, groups: rows };
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[c]);
+}
+
+/**
+ * Format a share as a percentage
+ */
+function percent(share) {
+    return share === null ? '–' : `${round(share * 100, 1)}%`;
+}
+
+/**
+ * HTML summary of a report and the run's STATS
+ */
+export function renderReportHtml(report, stats = {}) {
+    const money = (value, currency) => (value === null || value === undefined ? '–' : `${value.toFixed(2)}${currency ? ` ${currency}` : ''}`);
+    const rows = report.groups.map((row) => {
+        const [unit, unitStats] = Object.entries(row.unit_price)[0] || [];
+        const label = row.level === 'subcategory' ? `&nbsp;&nbsp;↳ ${escapeHtml(row.subcategory)}` : `<strong>${escapeHtml(row.category ?? 'Uncategorized')}</strong>`;
+        return `<tr>
+<td>${label}</td><td>${escapeHtml(row.retailer ?? '–')}</td><td>${escapeHtml(row.zipcode ?? '–')}</td><td class="n">${row.items}</td>
+<td class="n">${money(row.price?.min, row.currency)}</td><td class="n">${money(row.price?.median, row.currency)}</td>
+<td class="n">${money(row.price?.mean, row.currency)}</td><td class="n">${money(row.price?.max, row.currency)}</td>
+<td class="n">${unitStats ? `${unitStats.median} / ${escapeHtml(unit)}` : '–'}</td>
+<td class="n">${percent(row.on_sale_share)}</td><td class="n">${percent(row.out_of_stock_share)}</td>
+</tr>`;
+    }).join('\n');
+
+    const facts = [
+        ['Products', report.items],
+        ['Pages processed', stats.pages_processed],
+        ['Retailers', (stats.retailers || []).join(', ') || '–'],
+        ['Zipcodes', (stats.zipcodes || []).join(', ') || '–'],
+        ['Generated', report.generated_at],
+    ].filter(([, value]) => value !== undefined);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Instacart category price report</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; font-size: 0.9rem; }
+th, td { border-bottom: 1px solid #ddd; padding: 0.35rem 0.6rem; text-align: left; }
+th { background: #f5f5f5; }
+td.n { text-align: right; font-variant-numeric: tabular-nums; }
+</style>
+</head>
+<body>
+<h1>Category price report</h1>
+<ul>
+${facts.map(([name, value]) => `<li>${escapeHtml(name)}: ${escapeHtml(value)}</li>`).join('\n')}
+</ul>
+<table>
+<thead><tr><th>Category</th><th>Retailer</th><th>Zipcode</th><th>Items</th><th>Min</th><th>Median</th><th>Mean</th><th>Max</th><th>Median unit price</th><th>On sale</th><th>Out of stock</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
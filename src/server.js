@@ -0,0 +1,254 @@
+// Local query API over the latest scraped records (server mode, Apify standby)
+import http from 'node:http';
+
+import { historyKey } from './history.js';
+import { productKey, resolveProductKey } from './identity.js';
+import { isInstacartUrl, localeForUrl, parsePostalCode, postalCodeCountry, resolveLocale } from './locale.js';
+import { isProductPageUrl } from './watchlist.js';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 1000;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Inputs a POST /scrape body may set on top of the server's own input
+const SCRAPE_OVERRIDES = ['zipcode', 'zipcodes', 'retailers', 'results_wanted', 'max_pages', 'extractDetails', 'locale'];
+
+/**
+ * Error answered with its HTTP status instead of 500
+ */
+export function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * In-memory index of scraped records: the latest record per history key for searches,
+ * every observation per product key for history lookups
+ */
+export function createCatalog(records = []) {
+    const latest = new Map();
+    const observations = new Map();
+
+    const catalog = {
+        get size() {
+            return latest.size;
+        },
+
+        /**
+         * Add records; a newer timestamp replaces the product's current record
+         */
+        add(items) {
+            for (const record of items) {
+                const key = historyKey(record);
+                if (!key) continue;
+                const current = latest.get(key);
+                if (!current || String(record.timestamp ?? '') >= String(current.timestamp ?? '')) latest.set(key, record);
+                const id = String(record.product_key || productKey(record) || record.product_url);
+                if (!observations.has(id)) observations.set(id, []);
+                observations.get(id).push(record);
+            }
+        },
+
+        /**
+         * Latest records matching every word of q (in name, brand or ID), the retailer and the zipcode
+         */
+        search({ q, retailer, zipcode, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+            const words = String(q ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+            const wantedRetailer = retailer ? String(retailer).trim().toLowerCase() : null;
+            const wantedZip = zipcode ? (parsePostalCode(zipcode) || String(zipcode).trim()) : null;
+
+            const matches = [...latest.values()].filter((record) => {
+                if (wantedRetailer && (record.retailer || 'default') !== wantedRetailer) return false;
+                if (wantedZip && String(record.zipcode ?? '') !== wantedZip) return false;
+                const text = `${record.name ?? ''} ${record.brand ?? ''} ${record.product_id ?? ''}`.toLowerCase();
+                return words.every(word => text.includes(word));
+            }).sort((a, b) => String(a.name ?? '').localeCompare(String(b.name ?? '')));
+
+            return { total: matches.length, offset, limit, items: matches.slice(offset, offset + limit) };
+        },
+
+        /**
+         * Every observation of a product (by product_key), oldest first
+         */
+        observations(id, { retailer, zipcode } = {}) {
+            return (observations.get(String(id)) || [])
+                .filter(r => (!retailer || (r.retailer || 'default') === retailer) && (!zipcode || String(r.zipcode) === zipcode))
+                .sort((a, b) => String(a.timestamp ?? '').localeCompare(String(b.timestamp ?? '')));
+        },
+    };
+
+    catalog.add(records);
+    return catalog;
+}
+
+/**
+ * Price fields of one observation in a history response
+ */
+function toObservation(record) {
+    return {
+        retailer: record.retailer ?? null,
+        zipcode: record.zipcode ?? null,
+        price: record.price ?? null,
+        original_price: record.original_price ?? null,
+        effective_price: record.effective_price ?? null,
+        currency: record.currency ?? null,
+        in_stock: record.in_stock ?? null,
+        size: record.size ?? null,
+        price_per_unit: record.price_per_unit ?? null,
+        unit: record.unit ?? null,
+        timestamp: record.timestamp ?? null,
+    };
+}
+
+/**
+ * Scrape input for a POST /scrape body: product pages become a watchlist, other URLs start URLs
+ */
+export function buildScrapeInput(baseInput, body) {
+    const urls = Array.isArray(body?.urls) ? body.urls.map(u => (typeof u === 'string' ? u : u?.url)) : [];
+    if (!urls.length) throw httpError(400, 'Body must have a non-empty "urls" array');
+    // Only Instacart pages: the server must not fetch arbitrary URLs for its callers
+    for (const url of urls) {
+        if (!isInstacartUrl(url)) throw httpError(400, `Not an Instacart URL: ${JSON.stringify(url)}`);
+    }
+
+    const productPages = urls.filter(isProductPageUrl);
+    if (productPages.length && productPages.length < urls.length) {
+        throw httpError(400, 'Send product pages and listing pages in separate requests');
+    }
+
+    const overrides = Object.fromEntries(SCRAPE_OVERRIDES.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+    // A zipcode from the other country would fail the scrape, so answer it here
+    const { zipcode, zipcodes, locale } = { ...baseInput, ...overrides };
+    for (const code of Array.isArray(zipcodes) && zipcodes.length ? zipcodes : [zipcode]) {
+        const country = postalCodeCountry(code);
+        const url = urls.find(u => country && (resolveLocale(locale) || resolveLocale(localeForUrl(u))).country !== country);
+        if (url) throw httpError(400, `Zipcode ${code} does not match the site of ${url}, send a "zipcode" for that site`);
+    }
+
+    return {
+        ...baseInput,
+        startUrl: undefined,
+        searchQuery: undefined,
+        category: undefined,
+        subcategory: undefined,
+        startUrls: productPages.length ? [] : urls.map(url => ({ url })),
+        watchlist: productPages,
+        ...overrides,
+    };
+}
+
+/**
+ * Read a JSON request body
+ */
+async function readJson(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw httpError(413, 'Request body too large');
+        chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf8');
+    try {
+        return text ? JSON.parse(text) : {};
+    } catch {
+        throw httpError(400, 'Request body is not valid JSON');
+    }
+}
+
+/**
+ * Non-negative integer query parameter
+ */
+function intParam(value, fallback, max = Infinity) {
+    const num = Number.parseInt(value, 10);
+    return Number.isFinite(num) && num >= 0 ? Math.min(num, max) : fallback;
+}
+
+/**
+ * HTTP server for the query API.
+ * `scrape(input)` runs a crawl and resolves to { stats, products }; `loadHistory()` resolves to
+ * the PRICE_HISTORY map and `loadIdentity()` to the identity registry data. `baseInput` is
+ * the input POST /scrape bodies are applied to.
+ */
+export function createApiServer({ catalog, scrape, loadHistory, loadIdentity = async () => ({}), baseInput = {} }) {
+    let pendingScrapes = 0;
+
+    const routes = [
+        ['GET', /^\/$/, async () => [200, { status: 'ok', products: catalog.size, pending_scrapes: pendingScrapes }]],
+
+        ['GET', /^\/products\/?$/, async (url) => {
+            const params = url.searchParams;
+            return [200, catalog.search({
+                q: params.get('q'),
+                retailer: params.get('retailer'),
+                zipcode: params.get('zipcode'),
+                limit: intParam(params.get('limit'), DEFAULT_LIMIT, MAX_LIMIT),
+                offset: intParam(params.get('offset'), 0),
+            })];
+        }],
+
+        ['GET', /^\/products\/([^/]+)\/history\/?$/, async (url, [, rawId]) => {
+            let id;
+            try {
+                id = decodeURIComponent(rawId);
+            } catch {
+                throw httpError(400, `Malformed product ID: ${rawId}`);
+            }
+            const retailer = url.searchParams.get('retailer')?.trim().toLowerCase() || null;
+            const zip = url.searchParams.get('zipcode');
+            const zipcode = zip ? (parsePostalCode(zip) || zip.trim()) : null;
+
+            // Raw IDs, legacy links and older history keys all resolve to one product_key
+            const identity = (await loadIdentity()) || {};
+            const key = resolveProductKey(id, identity);
+            const observations = catalog.observations(key, { retailer, zipcode });
+            const history = Object.entries((await loadHistory()) || {})
+                .map(([storedKey, entry]) => {
+                    const [keyRetailer, keyZip, ...keyId] = storedKey.split('|');
+                    return { storedKey, keyId: keyId.join('|'), retailer: keyRetailer, zipcode: keyZip, entry };
+                })
+                .filter(h => resolveProductKey(h.keyId, identity) === key)
+                .filter(h => (!retailer || h.retailer === retailer) && (!zipcode || h.zipcode === zipcode))
+                .map(h => ({ history_key: h.storedKey, retailer: h.retailer, zipcode: h.zipcode, ...h.entry }));
+            if (!observations.length && !history.length) throw httpError(404, `No records for product ${id}`);
+
+            const last = observations[observations.length - 1];
+            return [200, {
+                product_id: id,
+                product_key: key,
+                name: last?.name ?? null,
+                observations: observations.map(toObservation),
+                history,
+            }];
+        }],
+
+        ['POST', /^\/scrape\/?$/, async (url, match, req) => {
+            const input = buildScrapeInput(baseInput, await readJson(req));
+            pendingScrapes++;
+            try {
+                const { stats, products } = await scrape(input);
+                return [200, { stats, products }];
+            } finally {
+                pendingScrapes--;
+            }
+        }],
+    ];
+
+    return http.createServer(async (req, res) => {
+        let status;
+        let body;
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+            if (!route) {
+                const known = routes.some(([, pattern]) => pattern.test(url.pathname));
+                throw httpError(known ? 405 : 404, known ? `${req.method} is not allowed here` : 'Not found');
+            }
+            [status, body] = await route[2](url, url.pathname.match(route[1]), req);
+        } catch (error) {
+            status = error.status || 500;
+            body = { error: error.message };
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    });
+}
@@ -0,0 +1,81 @@
+// Shrinkflation: the package shrinks while the shelf price holds or rises
+
+import { historyKey, trackedSize } from './history.js';
+import { summarizeValues } from './report.js';
+import { round } from './utils.js';
+
+export const SHRINKFLATION_RECORD_KEY = 'SHRINKFLATION';
+
+// Sizes closer than this are rounding noise, not a new package
+const MIN_SIZE_CHANGE = 0.005;
+
+/**
+ * Compare a record's package size with its previous observation.
+ * Adds previous_size, size_change_percent, unit_price_change_percent and shrinkflation
+ * to the record and returns a shrinkflation event, or null when there is none.
+ */
+export function applyShrinkflation(product, previous, now = new Date().toISOString()) {
+    const current = trackedSize(product);
+    const comparable = current && previous?.quantity > 0 && previous.unit === current.unit;
+    const sizeChange = comparable ? (current.quantity - previous.quantity) / previous.quantity : null;
+
+    const price = typeof product.price === 'number' ? product.price : null;
+    const previousPrice = typeof previous?.price === 'number' ? previous.price : null;
+    const pricesKnown = price !== null && previousPrice !== null && previousPrice > 0;
+    const unitPrice = pricesKnown && comparable ? price / current.quantity : null;
+    const previousUnitPrice = pricesKnown && comparable ? previousPrice / previous.quantity : null;
+    const unitPriceChange = unitPrice !== null ? (unitPrice - previousUnitPrice) / previousUnitPrice : null;
+
+    const resized = sizeChange !== null && Math.abs(sizeChange) >= MIN_SIZE_CHANGE;
+    const shrinkflation = resized && sizeChange < 0 && pricesKnown && price >= previousPrice;
+
+    product.previous_size = resized ? (previous.size ?? null) : null;
+    product.size_change_percent = resized ? round(sizeChange * 100) : null;
+    product.unit_price_change_percent = resized && unitPriceChange !== null ? round(unitPriceChange * 100) : null;
+    product.shrinkflation = shrinkflation;
+    if (!shrinkflation) return null;
+
+    return {
+        history_key: historyKey(product),
+        product_id: product.product_id || null,
+        name: product.name || null,
+        brand: product.brand || null,
+        retailer: product.retailer || null,
+        zipcode: product.zipcode || null,
+        product_url: product.product_url || null,
+        previous_size: previous.size ?? null,
+        size: current.size,
+        previous_quantity: round(previous.quantity, 4),
+        quantity: round(current.quantity, 4),
+        unit: current.unit,
+        size_change_percent: product.size_change_percent,
+        previous_price: previousPrice,
+        price,
+        previous_price_per_unit: round(previousUnitPrice, 4),
+        price_per_unit: round(unitPrice, 4),
+        unit_price_change_percent: product.unit_price_change_percent,
+        previous_seen: previous.last_seen || null,
+        timestamp: now,
+    };
+}
+
+/**
+ * The SHRINKFLATION record: events grouped per retailer, largest unit-price increase first
+ */
+export function buildShrinkflationReport(events, generatedAt = new Date().toISOString()) {
+    const byRetailer = new Map();
+    for (const event of events) {
+        const retailer = event.retailer || null;
+        if (!byRetailer.has(retailer)) byRetailer.set(retailer, []);
+        byRetailer.get(retailer).push(event);
+    }
+
+    const retailers = [...byRetailer.entries()].map(([retailer, list]) => ({
+        retailer,
+        events: list.length,
+        median_unit_price_change_percent: summarizeValues(list.map(e => e.unit_price_change_percent))?.median ?? null,
+        products: [...list].sort((a, b) => b.unit_price_change_percent - a.unit_price_change_percent),
+    })).sort((a, b) => b.events - a.events || String(a.retailer ?? '').localeCompare(String(b.retailer ?? '')));
+
+    return { generated_at: generatedAt, events: events.length, retailers };
+}
@@ -0,0 +1,89 @@
+// Category taxonomy discovery and category tagging
+import { log } from 'apify';
+
+import { toAbs } from './utils.js';
+
+/**
+ * Category slugs of a /categories/... URL (store prefix ignored)
+ */
+export function categorySlugsFromUrl(url) {
+    try {
+        const match = new URL(url).pathname.match(/\/categories\/(.+?)\/?$/);
+        return match ? match[1].split('/').filter(Boolean) : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Turn a taxonomy slug like "317-fresh-produce" into "Fresh Produce"
+ */
+export function humanizeCategorySlug(slug) {
+    const words = decodeURIComponent(slug).replace(/^\d+-?/, '').split(/[-_]+/).filter(Boolean);
+    if (!words.length) return slug;
+    return words.map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+/**
+ * category / subcategory / category_path fields for a list of category names
+ */
+export function toCategoryFields(names) {
+    if (!names?.length) return { category: null, subcategory: null, category_path: null };
+    return {
+        category: names.length > 1 ? names[1] : names[0],
+        subcategory: names[2] || null,
+        category_path: names.join(' > '),
+    };
+}
+
+/**
+ * Direct child categories of the current taxonomy page, from Apollo state and navigation links
+ */
+export function discoverChildCategories($, apolloData, pageUrl) {
+    const parentSlugs = categorySlugsFromUrl(pageUrl);
+    if (!parentSlugs.length) return [];
+
+    const children = new Map();
+    const addCandidate = (href, name) => {
+        const url = href ? toAbs(href, pageUrl) : null;
+        if (!url) return;
+        const slugs = categorySlugsFromUrl(url);
+        const isChild = slugs.length === parentSlugs.length + 1 &&
+            parentSlugs.every((slug, i) => slugs[i] === slug);
+        if (!isChild) return;
+
+        // Keep the retailer scope of the page we came from
+        const parsed = new URL(pageUrl);
+        parsed.pathname = parsed.pathname.replace(/\/categories\/.*$/, `/categories/${slugs.join('/')}`);
+        parsed.search = '';
+        const childSlug = slugs[slugs.length - 1];
+        if (!children.has(childSlug)) {
+            children.set(childSlug, {
+                url: parsed.href,
+                name: (name && String(name).trim()) || humanizeCategorySlug(childSlug),
+            });
+        }
+    };
+
+    // Apollo taxonomy nodes carry a path/url plus a display name
+    const visit = (obj, depth = 0) => {
+        if (!obj || typeof obj !== 'object' || depth > 8) return;
+        const href = [obj.path, obj.urlPath, obj.url, obj.href].find(v => typeof v === 'string' && v.includes('/categories/'));
+        if (href) addCandidate(href, obj.name || obj.displayName || obj.title);
+        for (const [key, value] of Object.entries(obj)) {
+            if (key.startsWith('__') || !value || typeof value !== 'object') continue;
+            visit(value, depth + 1);
+        }
+    };
+
+    try {
+        visit(apolloData);
+        $('a[href*="/categories/"]').each((_, el) => {
+            addCandidate($(el).attr('href'), $(el).attr('aria-label') || $(el).text());
+        });
+    } catch (e) {
+        log.debug(`Category discovery failed on ${pageUrl}: ${e.message}`);
+    }
+
+    return [...children.values()];
+}
@@ -0,0 +1,199 @@
+// Package size parsing and unit price normalization
+
+import { round } from './utils.js';
+
+const G_PER_LB = 453.59237;
+const ML_PER_FL_OZ = 29.5735296;
+
+const UNITS = {
+    // Weight (canonical: lb)
+    'lb': { type: 'weight', factor: 1 },
+    'lbs': { type: 'weight', factor: 1 },
+    'pound': { type: 'weight', factor: 1 },
+    'pounds': { type: 'weight', factor: 1 },
+    'oz': { type: 'weight', factor: 1 / 16 },
+    'ounce': { type: 'weight', factor: 1 / 16 },
+    'ounces': { type: 'weight', factor: 1 / 16 },
+    'g': { type: 'weight', factor: 1 / G_PER_LB },
+    'gram': { type: 'weight', factor: 1 / G_PER_LB },
+    'grams': { type: 'weight', factor: 1 / G_PER_LB },
+    'kg': { type: 'weight', factor: 1000 / G_PER_LB },
+    'kilogram': { type: 'weight', factor: 1000 / G_PER_LB },
+    'kilograms': { type: 'weight', factor: 1000 / G_PER_LB },
+
+    // Volume (canonical: fl oz)
+    'fl oz': { type: 'volume', factor: 1 },
+    'floz': { type: 'volume', factor: 1 },
+    'fluid ounce': { type: 'volume', factor: 1 },
+    'fluid ounces': { type: 'volume', factor: 1 },
+    'ml': { type: 'volume', factor: 1 / ML_PER_FL_OZ },
+    'l': { type: 'volume', factor: 1000 / ML_PER_FL_OZ },
+    'liter': { type: 'volume', factor: 1000 / ML_PER_FL_OZ },
+    'liters': { type: 'volume', factor: 1000 / ML_PER_FL_OZ },
+    'litre': { type: 'volume', factor: 1000 / ML_PER_FL_OZ },
+    'litres': { type: 'volume', factor: 1000 / ML_PER_FL_OZ },
+    'gal': { type: 'volume', factor: 128 },
+    'gallon': { type: 'volume', factor: 128 },
+    'gallons': { type: 'volume', factor: 128 },
+    'qt': { type: 'volume', factor: 32 },
+    'quart': { type: 'volume', factor: 32 },
+    'quarts': { type: 'volume', factor: 32 },
+    'pt': { type: 'volume', factor: 16 },
+    'pint': { type: 'volume', factor: 16 },
+    'pints': { type: 'volume', factor: 16 },
+
+    // Count (canonical: ct)
+    'ct': { type: 'count', factor: 1 },
+    'count': { type: 'count', factor: 1 },
+    'each': { type: 'count', factor: 1 },
+    'ea': { type: 'count', factor: 1 },
+    'pc': { type: 'count', factor: 1 },
+    'pcs': { type: 'count', factor: 1 },
+    'piece': { type: 'count', factor: 1 },
+    'pieces': { type: 'count', factor: 1 },
+    'pk': { type: 'count', factor: 1 },
+    'pack': { type: 'count', factor: 1 },
+    'bunch': { type: 'count', factor: 1 },
+    'dozen': { type: 'count', factor: 12 },
+};
+
+export const CANONICAL_UNITS = { weight: 'lb', volume: 'fl oz', count: 'ct' };
+
+// Longest unit names first so "fl oz" wins over "oz" and "lbs" over "lb"
+const UNIT_PATTERN = Object.keys(UNITS)
+    .sort((a, b) => b.length - a.length)
+    .map(u => u.replace(/\s+/g, '\\s*'))
+    .join('|');
+
+const NUMBER_PATTERN = '(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.?\\d+)';
+
+/**
+ * Parse "1 1/2", "3/4", "2.5" or ".5" into a number
+ */
+function parseQuantity(raw) {
+    const text = String(raw).trim();
+    const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+    if (mixed) return +mixed[1] + (+mixed[2] / +mixed[3]);
+    const fraction = text.match(/^(\d+)\/(\d+)$/);
+    if (fraction) return +fraction[2] ? +fraction[1] / +fraction[2] : null;
+    const num = parseFloat(text);
+    return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Look up a unit token, tolerating "fl. oz." style punctuation
+ */
+function lookupUnit(token) {
+    const key = String(token).toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+    return UNITS[key] || UNITS[key.replace(/\s/g, '')] || null;
+}
+
+/**
+ * Parse a free-text package size into a canonical quantity.
+ * Returns { quantity, unit, type, per_unit } or null when the size is not understood.
+ * `per_unit` is true for "per lb" style sizes where the price already is a unit price;
+ * those also carry the `factor` converting the quoted unit to the canonical one.
+ */
+export function parseSize(size) {
+    if (!size || typeof size !== 'string') return null;
+    const text = size
+        .toLowerCase()
+        .replace(/×/g, 'x')
+        // Drop abbreviation dots ("fl. oz.") but keep decimal points
+        .replace(/\.(?!\d)/g, ' ')
+        .trim();
+
+    // "per lb", "/lb", "$2.99 / lb", "each"
+    const perUnit = text.match(new RegExp(`(?:^|\\s|\\/)(?:per\\s+|\\/\\s*)(${UNIT_PATTERN})\\b`));
+    if (perUnit || /^(?:each|ea)$/.test(text)) {
+        const unit = lookupUnit(perUnit ? perUnit[1] : 'each');
+        if (unit) {
+            return { quantity: 1, unit: CANONICAL_UNITS[unit.type], type: unit.type, per_unit: true, factor: unit.factor };
+        }
+    }
+
+    // Multipacks: "6 x 12 fl oz", "12 pk 12 fl oz" give the size of each unit
+    const multipack = text.match(
+        new RegExp(`${NUMBER_PATTERN}\\s*(?:x|pk|pack)\\s*(?:of\\s*|[,/]\\s*)?${NUMBER_PATTERN}\\s*(${UNIT_PATTERN})\\b`),
+    );
+    if (multipack) {
+        const count = parseQuantity(multipack[1]);
+        const each = parseQuantity(multipack[2]);
+        const unit = lookupUnit(multipack[3]);
+        if (unit && count && each) {
+            return toCanonical(count * each, unit);
+        }
+    }
+
+    // Counted packages: "4 ct / 16 oz" gives the total weight of the package
+    const counted = text.match(
+        new RegExp(`${NUMBER_PATTERN}\\s*(?:ct|count)\\s*(?:[,/]\\s*)?${NUMBER_PATTERN}\\s*(${UNIT_PATTERN})\\b`),
+    );
+    if (counted) {
+        const total = parseQuantity(counted[2]);
+        const unit = lookupUnit(counted[3]);
+        if (unit && total) {
+            return toCanonical(total, unit);
+        }
+    }
+
+    // Single quantity: "1 lb", "12 oz", "3 ct", "1/2 gal"
+    const single = text.match(new RegExp(`${NUMBER_PATTERN}\\s*(${UNIT_PATTERN})\\b`));
+    if (single) {
+        const quantity = parseQuantity(single[1]);
+        const unit = lookupUnit(single[2]);
+        if (unit && quantity) {
+            return toCanonical(quantity, unit);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Convert a quantity in a known unit to its canonical unit
+ */
+function toCanonical(quantity, unit) {
+    return {
+        quantity: round(quantity * unit.factor, 4),
+        unit: CANONICAL_UNITS[unit.type],
+        type: unit.type,
+        per_unit: false,
+    };
+}
+
+/**
+ * Compute the price per canonical unit for a price and a free-text size
+ */
+export function computeUnitPrice(price, size) {
+    const parsed = parseSize(size);
+    if (!parsed) return { price_per_unit: null, unit: null };
+    if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+        return { price_per_unit: null, unit: parsed.unit };
+    }
+
+    // "per lb" style prices are already unit prices, but may need converting (e.g. per kg → per lb)
+    const perUnitPrice = parsed.per_unit ? price / parsed.factor : price / parsed.quantity;
+    return { price_per_unit: round(perUnitPrice, 4), unit: parsed.unit };
+}
+
+/**
+ * Percentage saved versus the original price, or null when not discounted
+ */
+export function computeDiscountPercent(price, originalPrice) {
+    if (typeof price !== 'number' || typeof originalPrice !== 'number') return null;
+    if (!(originalPrice > 0) || !(price >= 0) || price >= originalPrice) return null;
+    return round(((originalPrice - price) / originalPrice) * 100, 1);
+}
+
+/**
+ * Add price_per_unit, unit and discount_percent to a product record
+ */
+export function addUnitPricing(product) {
+    if (!product || typeof product !== 'object') return product;
+    const { price_per_unit: pricePerUnit, unit } = computeUnitPrice(product.price, product.size);
+    product.price_per_unit = pricePerUnit;
+    product.unit = unit;
+    product.discount_percent = computeDiscountPercent(product.price, product.original_price);
+    return product;
+}
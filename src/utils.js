@@ -0,0 +1,79 @@
+// Shared string/number helpers for the parsing modules
+
+/**
+ * Resolve a possibly relative URL, or null when it cannot be parsed
+ */
+export const toAbs = (href, base) => { try { return new URL(href, base).href; } catch { return null; } };
+
+/**
+ * Decode HTML entities in Apollo state JSON
+ */
+export function decodeHtmlEntities(str) {
+    if (!str) return str;
+    return str
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&#x27;/g, "'")
+        .replace(/&#x2F;/g, '/')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(dec))
+        .replace(/&#x([0-9A-Fa-f]+);/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Clean image URL by removing srcset artifacts and commas
+ */
+export function cleanImageUrl(url) {
+    if (!url) return null;
+    // Remove trailing commas, spaces, and srcset descriptors (like 2x, 197w)
+    const cleaned = url.trim()
+        .replace(/,$/, '')           // Remove trailing comma
+        .replace(/\s+\d+[wx].*$/, '') // Remove srcset descriptors
+        .replace(/,$/, '')           // Remove any remaining trailing comma
+        .trim();
+    return cleaned || null;
+}
+
+/**
+ * Parse price string to number: "$1,299.99", "CA$4.49", "1,99 $" and "1 299,99 $".
+ * A lone comma followed by cents is a decimal comma; otherwise commas group thousands.
+ */
+export function parsePrice(priceStr) {
+    if (!priceStr) return null;
+    if (typeof priceStr === 'number') return priceStr;
+
+    // Spaces (\s includes no-break and narrow no-break spaces) group thousands in French
+    const number = String(priceStr).replace(/(\d)\s(?=\d{3}\b)/g, '$1').match(/\d[\d.,]*/)?.[0];
+    if (!number) return null;
+
+    const lastComma = number.lastIndexOf(',');
+    const lastDot = number.lastIndexOf('.');
+    let decimal = '.';
+    if (lastComma > lastDot) {
+        const single = number.indexOf(',') === lastComma;
+        if (lastDot >= 0 || (single && /,\d{1,2}$/.test(number))) decimal = ',';
+    }
+    const cleaned = decimal === ',' ? number.replace(/\./g, '').replace(',', '.') : number.replace(/,/g, '');
+    const parsed = parseFloat(cleaned);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Round to a number of decimals (two by default)
+ */
+export function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Coerce a numeric-looking value to a number, otherwise null
+ */
+export function toNumber(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'object') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+}
@@ -0,0 +1,211 @@
+// Watchlist mode: a fixed list of products fetched straight from their product pages
+import { extractApolloState, EXTRACTION_STRATEGIES, extractProductsFromApollo } from './apollo.js';
+import { AVAILABILITY, classifyStockText, isInStock } from './availability.js';
+import { findJsonLdProducts, jsonLdGtin } from './details.js';
+import { detectCurrency } from './locale.js';
+import { extractEffectiveZipcode } from './location.js';
+import { addPromotionPricing } from './promotions.js';
+import { addUnitPricing } from './units.js';
+import { cleanImageUrl, decodeHtmlEntities, parsePrice, toAbs } from './utils.js';
+
+export const WATCHLIST_RECORD_KEY = 'WATCHLIST';
+
+export const WATCH_STATUS = {
+    FOUND: 'found',
+    OUT_OF_STOCK: 'out_of_stock',
+    MISSING: 'missing',
+    DELISTED: 'delisted',
+    FAILED: 'failed',
+};
+
+const LEGACY_PATH = /\/items\/item_(\d+)(?:[/?#]|$)/;
+const PRODUCT_PATH = /\/products\/([^/?#]+)/;
+
+/**
+ * Parse one watchlist entry (string or { url } / { product_id } object), or null when it is not a product
+ */
+export function parseWatchlistEntry(raw) {
+    const value = raw && typeof raw === 'object' ? (raw.url ?? raw.product_id ?? raw.productId) : raw;
+    const input = value === null || value === undefined ? '' : String(value).trim();
+    if (!input) return null;
+
+    let legacyId = null;
+    let slug = null;
+    let origin = null;
+    let retailer = null;
+    if (/^https?:\/\//i.test(input)) {
+        let url;
+        try {
+            url = new URL(input);
+        } catch {
+            return null;
+        }
+        legacyId = url.pathname.match(LEGACY_PATH)?.[1] || null;
+        slug = legacyId ? null : (url.pathname.match(PRODUCT_PATH)?.[1] || null);
+        if (!legacyId && !slug) return null;
+        origin = url.origin;
+        // "/store/items/item_1" has no retailer; "/store/safeway/items/item_1" does
+        retailer = url.pathname.match(/^\/store\/(?!s\/|items\/|products\/)([^/]+)\//)?.[1] || null;
+    } else if (/^item_\d+$/i.test(input)) {
+        legacyId = input.slice(5);
+    } else if (/^\d+(?:-[\w-]+)?$/.test(input)) {
+        slug = input;
+    } else {
+        return null;
+    }
+
+    if (slug) slug = decodeURIComponent(slug);
+    const productId = slug ? (slug.match(/^\d+/)?.[0] || slug) : null;
+    return {
+        key: legacyId ? `item_${legacyId}` : `product_${productId}`,
+        input,
+        product_id: productId,
+        legacy_id: legacyId,
+        slug,
+        origin,
+        retailer,
+    };
+}
+
+/**
+ * Parse the watchlist input: unique entries in input order plus the values that are not products
+ */
+export function normalizeWatchlist(list) {
+    const entries = [];
+    const invalid = [];
+    const seen = new Set();
+    for (const raw of Array.isArray(list) ? list : []) {
+        const entry = parseWatchlistEntry(raw);
+        if (!entry) {
+            invalid.push(raw);
+        } else if (!seen.has(entry.key)) {
+            seen.add(entry.key);
+            entries.push(entry);
+        }
+    }
+    return { entries, invalid };
+}
+
+/**
+ * Product page URL of an entry, scoped to a retailer when one is given
+ */
+export function watchUrl(entry, { origin, retailer = null } = {}) {
+    let path = entry.legacy_id ? `/items/item_${entry.legacy_id}` : `/products/${encodeURIComponent(entry.slug)}`;
+    if (retailer) path = `/store/${retailer}${path}`;
+    else if (entry.legacy_id) path = `/store${path}`;
+    return new URL(path, entry.origin || origin).href;
+}
+
+/**
+ * True for URLs of a product page (after redirects, a delisted product often lands elsewhere)
+ */
+export function isProductPageUrl(url) {
+    try {
+        const { pathname } = new URL(url);
+        return LEGACY_PATH.test(pathname) || PRODUCT_PATH.test(pathname);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * True when a record is the product a watchlist entry asks for
+ */
+function matchesEntry(product, entry) {
+    const id = String(product.product_id ?? '');
+    const path = product.product_url ? new URL(product.product_url).pathname : '';
+    if (entry.legacy_id) {
+        return id === entry.legacy_id || path.match(LEGACY_PATH)?.[1] === entry.legacy_id;
+    }
+    return id === entry.product_id || id.startsWith(`${entry.product_id}-`) ||
+        decodeURIComponent(path.match(PRODUCT_PATH)?.[1] || '') === entry.slug;
+}
+
+/**
+ * Product record from a JSON-LD Product (name, brand, offers) when the page has no Apollo data
+ */
+export function extractProductFromJsonLd(productLd, url) {
+    const offer = [].concat(productLd.offers || [])[0] || {};
+    const price = offer.price ?? offer.lowPrice ?? null;
+    const image = [].concat(productLd.image || [])[0];
+    const imageUrl = typeof image === 'object' ? image?.url : image;
+    const brand = typeof productLd.brand === 'object' ? productLd.brand?.name : productLd.brand;
+    const availability = classifyStockText(offer.availability) || AVAILABILITY.UNKNOWN;
+
+    return addPromotionPricing(addUnitPricing({
+        product_id: productLd.sku || productLd.productID || null,
+        name: productLd.name ? decodeHtmlEntities(String(productLd.name).trim()) : null,
+        brand: brand || null,
+        price: parsePrice(price),
+        original_price: null,
+        currency: offer.priceCurrency ? String(offer.priceCurrency).toUpperCase() : detectCurrency(price),
+        size: productLd.size || null,
+        gtin: jsonLdGtin(productLd),
+        image_url: imageUrl ? cleanImageUrl(toAbs(imageUrl, url)) : null,
+        product_url: url,
+        in_stock: isInStock(availability),
+        availability,
+        store: 'Instacart',
+        timestamp: new Date().toISOString(),
+        extraction_method: 'json_ld',
+        extraction_strategy: EXTRACTION_STRATEGIES.JSON_LD,
+    }), []);
+}
+
+/**
+ * The watched product on its product page: the matching Apollo record (or the only one),
+ * else the page's JSON-LD Product. `product` is null when the page does not show it.
+ */
+export function extractWatchedProduct($, url, entry) {
+    const apolloData = extractApolloState($);
+    const apolloProducts = extractProductsFromApollo(apolloData, url);
+    let product = apolloProducts.find(p => matchesEntry(p, entry)) ||
+        (apolloProducts.length === 1 ? apolloProducts[0] : null);
+
+    if (!product) {
+        const productLd = findJsonLdProducts($).find(ld => ld.name);
+        product = productLd ? extractProductFromJsonLd(productLd, url) : null;
+    }
+    if (product) {
+        if (!product.product_id) product.product_id = entry.product_id || entry.legacy_id;
+        product.effective_zipcode = extractEffectiveZipcode(apolloData);
+    }
+    return { product, apolloData };
+}
+
+/**
+ * One WATCHLIST row: the entry, where it was checked and what was found
+ */
+export function toWatchResult(entry, { url, retailer, zipcode, status, reason = null, httpStatus = null, product = null, checkedAt }) {
+    return {
+        key: entry.key,
+        input: entry.input,
+        url,
+        retailer: retailer || null,
+        zipcode,
+        status,
+        reason,
+        http_status: httpStatus,
+        product_id: product?.product_id ?? null,
+        name: product?.name ?? null,
+        price: product?.price ?? null,
+        currency: product?.currency ?? null,
+        in_stock: product?.in_stock ?? null,
+        checked_at: checkedAt || new Date().toISOString(),
+    };
+}
+
+/**
+ * The WATCHLIST record: counts per status and every entry's result
+ */
+export function buildWatchlistReport(results, generatedAt = new Date().toISOString()) {
+    const counts = Object.fromEntries(Object.values(WATCH_STATUS).map(status => [status, 0]));
+    for (const result of results) counts[result.status]++;
+    return {
+        generated_at: generatedAt,
+        checked: results.length,
+        counts,
+        not_found: results.filter(r => r.status === WATCH_STATUS.MISSING || r.status === WATCH_STATUS.DELISTED),
+        results,
+    };
+}
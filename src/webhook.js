@@ -0,0 +1,58 @@
+// JSON webhook delivery with retries and an HMAC signature
+
+import { createHmac, randomUUID } from 'node:crypto';
+
+import { log } from 'apify';
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+export const DELIVERY_HEADER = 'X-Webhook-Delivery';
+
+/**
+ * Signature header value for a raw request body
+ */
+export function signPayload(body, secret) {
+    return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Statuses worth another attempt: rate limits and server errors
+ */
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * POST a JSON payload, retrying network errors, timeouts, 408/429 and 5xx with exponential backoff.
+ * Never throws: returns { delivered, attempts, status, error }.
+ */
+export async function postWebhook(url, payload, { secret, retries = 3, backoffMs = 1000, timeoutMs = 10000 } = {}) {
+    const body = JSON.stringify(payload);
+    const headers = {
+        'Content-Type': 'application/json',
+        [DELIVERY_HEADER]: randomUUID(),
+        ...(secret ? { [SIGNATURE_HEADER]: signPayload(body, secret) } : {}),
+    };
+
+    let status = null;
+    let error = null;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+        try {
+            const response = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+            status = response.status;
+            error = response.ok ? null : `HTTP ${status}`;
+            await response.body?.cancel();
+            if (response.ok) return { delivered: true, attempts: attempt, status, error: null };
+            if (!isRetryableStatus(status)) return { delivered: false, attempts: attempt, status, error };
+        } catch (e) {
+            status = null;
+            error = e.message;
+        }
+
+        if (attempt <= retries) {
+            const wait = backoffMs * 2 ** (attempt - 1);
+            log.warning(`Webhook attempt ${attempt} failed (${error}), retrying in ${wait}ms`);
+            await new Promise(resolve => { setTimeout(resolve, wait); });
+        }
+    }
+    return { delivered: false, attempts: retries + 1, status, error };
+}
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { ALERT_TYPES, evaluateAlertRules, normalizeAlertRules, ruleMatchesProduct } from '../src/alerts.js';
+import { applyPriceHistory } from '../src/history.js';
+
+const NOW = '2026-01-15T00:00:00.000Z';
+
+/**
+ * Record with price history applied against a previous observation
+ */
+const observe = (product, previous) => {
+    const record = { retailer: 'safeway', zipcode: '94105', in_stock: true, ...product };
+    applyPriceHistory(record, previous, NOW);
+    return record;
+};
+const fire = (rules, product, previous) => evaluateAlertRules(normalizeAlertRules(rules), observe(product, previous), previous, NOW);
+
+describe('normalizeAlertRules', () => {
+    it('normalizes types, matchers and thresholds', () => {
+        const [rule] = normalizeAlertRules([{ type: 'Price drop', product_id: 17270, product: 'Whole Milk', threshold: -0.5 }]);
+        assert.equal(rule.name, 'rule-1');
+        assert.equal(rule.type, ALERT_TYPES.PRICE_DROP);
+        assert.deepEqual(rule.product_ids, ['17270']);
+        assert.deepEqual(rule.product_words, ['whole', 'milk']);
+        assert.equal(rule.threshold, 0.5);
+        assert.equal(rule.threshold_percent, null);
+    });
+
+    it('drops rules of unknown type', () => {
+        assert.deepEqual(normalizeAlertRules([{ type: 'sometimes' }, null, 'x']), []);
+        assert.deepEqual(normalizeAlertRules(undefined), []);
+    });
+});
+
+describe('ruleMatchesProduct', () => {
+    const product = { product_id: '1', name: 'Organic Whole Milk', category_path: 'Food > Dairy & Eggs > Milk', retailer: 'safeway', zipcode: '94105' };
+    const matches = rule => ruleMatchesProduct(normalizeAlertRules([rule])[0], product);
+
+    it('combines product, category and location matchers', () => {
+        assert.equal(matches({ product: 'whole milk', category: 'dairy', retailer: 'Safeway' }), true);
+        assert.equal(matches({ product: 'skim milk' }), false);
+        assert.equal(matches({ category: 'produce' }), false);
+        assert.equal(matches({ zipcode: '10001' }), false);
+        assert.equal(matches({ product_id: ['2', '1'] }), true);
+    });
+});
+
+describe('evaluateAlertRules', () => {
+    const previous = { price: 4, in_stock: true, first_seen: NOW, last_seen: NOW };
+
+    it('fires on drops and rises beyond the thresholds', () => {
+        const [alert] = fire([{ name: 'milk', type: 'price_drop', threshold_percent: 10 }], { product_id: '1', price: 3.5 }, previous);
+        assert.equal(alert.rule, 'milk');
+        assert.equal(alert.price_change, -0.5);
+        assert.equal(alert.price_change_percent, -12.5);
+
+        assert.equal(fire([{ type: 'price_drop', threshold_percent: 15 }], { product_id: '1', price: 3.5 }, previous).length, 0);
+        assert.equal(fire([{ type: 'price_rise' }], { product_id: '1', price: 3.5 }, previous).length, 0);
+        assert.equal(fire([{ type: 'price_rise', threshold: 1 }], { product_id: '1', price: 5 }, previous).length, 1);
+        assert.equal(fire([{ type: 'price_change' }], { product_id: '1', price: 4 }, previous).length, 0);
+    });
+
+    it('fires when a product comes back in stock', () => {
+        const soldOut = { ...previous, in_stock: false };
+        const [alert] = fire([{ type: 'back_in_stock' }], { product_id: '1', price: 4 }, soldOut);
+        assert.equal(alert.type, ALERT_TYPES.BACK_IN_STOCK);
+        assert.equal(alert.previous_in_stock, false);
+        assert.equal(fire([{ type: 'back_in_stock' }], { product_id: '1', price: 4, in_stock: false }, soldOut).length, 0);
+    });
+
+    it('needs a previous observation', () => {
+        assert.equal(fire([{ type: 'price_change' }, { type: 'back_in_stock' }], { product_id: '1', price: 3 }, undefined).length, 0);
+    });
+});
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { load as cheerioLoad } from 'cheerio';
+
+import {
+    AVAILABILITY,
+    classifyStockText,
+    extractAvailabilityFromApollo,
+    extractAvailabilityFromCard,
+    isInStock,
+} from '../src/availability.js';
+
+describe('classifyStockText', () => {
+    it('understands labels and enum-style states', () => {
+        assert.equal(classifyStockText('Many in stock'), AVAILABILITY.IN_STOCK);
+        assert.equal(classifyStockText('highlyInStock'), AVAILABILITY.IN_STOCK);
+        assert.equal(classifyStockText('LOW_STOCK'), AVAILABILITY.LOW_STOCK);
+        assert.equal(classifyStockText('Only 2 left'), AVAILABILITY.LOW_STOCK);
+        assert.equal(classifyStockText('out_of_stock'), AVAILABILITY.OUT_OF_STOCK);
+        assert.equal(classifyStockText('https://schema.org/OutOfStock'), AVAILABILITY.OUT_OF_STOCK);
+        assert.equal(classifyStockText('Not available in your area'), AVAILABILITY.UNAVAILABLE);
+    });
+
+    it('reads negated labels as out of stock', () => {
+        assert.equal(classifyStockText('Not available'), AVAILABILITY.OUT_OF_STOCK);
+        assert.equal(classifyStockText('NOT_AVAILABLE'), AVAILABILITY.OUT_OF_STOCK);
+        assert.equal(classifyStockText('Not in stock'), AVAILABILITY.OUT_OF_STOCK);
+        assert.equal(isInStock(classifyStockText('Not in stock')), false);
+    });
+
+    it('returns null for unrelated text', () => {
+        assert.equal(classifyStockText('Organic Bananas'), null);
+        assert.equal(classifyStockText(''), null);
+        assert.equal(classifyStockText(undefined), null);
+    });
+});
+
+describe('extractAvailabilityFromApollo', () => {
+    it('prefers stock level labels', () => {
+        assert.equal(extractAvailabilityFromApollo({ availability: { available: true, stockLevel: 'lowStock' } }), AVAILABILITY.LOW_STOCK);
+        assert.equal(extractAvailabilityFromApollo({ viewSection: { stockLevelLabelString: 'Many in stock' } }), AVAILABILITY.IN_STOCK);
+    });
+
+    it('reads delivery availability, flags and counts', () => {
+        assert.equal(extractAvailabilityFromApollo({ deliveryAvailable: false, inStock: true }), AVAILABILITY.UNAVAILABLE);
+        assert.equal(extractAvailabilityFromApollo({ isAvailable: false }), AVAILABILITY.OUT_OF_STOCK);
+        assert.equal(extractAvailabilityFromApollo({ inStock: true }), AVAILABILITY.IN_STOCK);
+        assert.equal(extractAvailabilityFromApollo({ quantityAvailable: 0 }), AVAILABILITY.OUT_OF_STOCK);
+        assert.equal(extractAvailabilityFromApollo({ quantityAvailable: 3 }), AVAILABILITY.LOW_STOCK);
+        assert.equal(extractAvailabilityFromApollo({ quantityAvailable: 40 }), AVAILABILITY.IN_STOCK);
+    });
+
+    it('treats replacement suggestions as out of stock only without other signals', () => {
+        assert.equal(extractAvailabilityFromApollo({ replacements: [{ id: '2' }] }), AVAILABILITY.OUT_OF_STOCK);
+        assert.equal(extractAvailabilityFromApollo({ inStock: true, replacements: [{ id: '2' }] }), AVAILABILITY.IN_STOCK);
+    });
+
+    it('is unknown without any signal', () => {
+        assert.equal(extractAvailabilityFromApollo({ name: 'Milk' }), AVAILABILITY.UNKNOWN);
+        assert.equal(extractAvailabilityFromApollo(null), AVAILABILITY.UNKNOWN);
+    });
+});
+
+describe('extractAvailabilityFromCard', () => {
+    const card = html => cheerioLoad(`<li>${html}</li>`)('li');
+
+    it('reads stock labels and card text', () => {
+        assert.equal(extractAvailabilityFromCard(card('<span class="StockLevel">Low stock</span>')), AVAILABILITY.LOW_STOCK);
+        assert.equal(extractAvailabilityFromCard(card('<h3>Milk</h3><p>Out of stock</p>')), AVAILABILITY.OUT_OF_STOCK);
+    });
+
+    it('falls back to the add-to-cart button', () => {
+        assert.equal(extractAvailabilityFromCard(card('<button aria-label="Add Milk">Add</button>')), AVAILABILITY.IN_STOCK);
+        assert.equal(extractAvailabilityFromCard(card('<button aria-label="Add Milk" disabled>Add</button>')), AVAILABILITY.OUT_OF_STOCK);
+        assert.equal(extractAvailabilityFromCard(card('<h3>High Protein Bar</h3>')), AVAILABILITY.UNKNOWN);
+    });
+});
+
+describe('isInStock', () => {
+    it('maps availability to the in_stock boolean', () => {
+        assert.equal(isInStock(AVAILABILITY.IN_STOCK), true);
+        assert.equal(isInStock(AVAILABILITY.LOW_STOCK), true);
+        assert.equal(isInStock(AVAILABILITY.OUT_OF_STOCK), false);
+        assert.equal(isInStock(AVAILABILITY.UNAVAILABLE), false);
+        assert.equal(isInStock(AVAILABILITY.UNKNOWN), null);
+    });
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { computeBasketIndex, findBasketProduct, matchesBasketItem, normalizeBasket } from '../src/basket.js';
+
+const BASE_TIME = '2026-01-01T00:00:00.000Z';
+const NOW = '2026-02-01T00:00:00.000Z';
+
+const BASKET = [
+    { product_id: '1', weight: 2 },
+    { name: 'organic bananas', size: '2 lb' },
+    { name: 'whole milk', size: '1 gal' },
+];
+
+const product = (fields) => ({ retailer: 'safeway', zipcode: '94105', in_stock: true, ...fields });
+
+describe('normalizeBasket', () => {
+    it('builds keys and default weights', () => {
+        const items = normalizeBasket([...BASKET, 'eggs', { weight: 3 }]);
+        assert.deepEqual(items.map(i => i.key), ['id:1', 'name:organic bananas|2 lb', 'name:whole milk|1 gal', 'name:eggs|']);
+        assert.deepEqual(items.map(i => i.weight), [2, 1, 1, 1]);
+    });
+});
+
+describe('matchesBasketItem', () => {
+    const [byId, byName] = normalizeBasket(BASKET);
+
+    it('matches by product id', () => {
+        assert.equal(matchesBasketItem(byId, { product_id: 1 }), true);
+        assert.equal(matchesBasketItem(byId, { product_id: 2 }), false);
+    });
+
+    it('matches by name tokens and normalized size', () => {
+        assert.equal(matchesBasketItem(byName, { name: 'Organic Fair Trade Bananas', size: '32 oz' }), true);
+        assert.equal(matchesBasketItem(byName, { name: 'Organic Bananas', size: '3 lb' }), false);
+        assert.equal(matchesBasketItem(byName, { name: 'Bananas', size: '2 lb' }), false);
+    });
+});
+
+describe('findBasketProduct', () => {
+    it('picks the cheapest in-stock priced match', () => {
+        const [, byName] = normalizeBasket(BASKET);
+        const products = [
+            { name: 'Organic Bananas', size: '2 lb', price: 1.5, in_stock: false },
+            { name: 'Organic Bananas', size: '2 lb', price: 1.9 },
+            { name: 'Organic Bananas', size: '2 lb', price: 1.7 },
+        ];
+        assert.equal(findBasketProduct(byName, products).price, 1.7);
+    });
+});
+
+describe('computeBasketIndex', () => {
+    it('establishes the base period at 100 on the first run', () => {
+        const products = [
+            product({ product_id: '1', name: 'Avocado', price: 1 }),
+            product({ product_id: '2', name: 'Organic Bananas', size: '2 lb', price: 2 }),
+            product({ product_id: '3', name: 'Whole Milk', size: '1 gal', price: 4 }),
+        ];
+        const { cells, base } = computeBasketIndex(BASKET, products, {}, BASE_TIME);
+
+        assert.equal(cells.length, 1);
+        assert.equal(cells[0].index, 100);
+        assert.equal(cells[0].basket_cost, 8);
+        assert.equal(base['safeway|94105'].established_at, BASE_TIME);
+    });
+
+    it('computes a Laspeyres index with per-item contributions', () => {
+        const base = {
+            'safeway|94105': {
+                established_at: BASE_TIME,
+                prices: { 'id:1': 1, 'name:organic bananas|2 lb': 2, 'name:whole milk|1 gal': 4 },
+            },
+        };
+        const products = [
+            product({ product_id: '1', price: 1.5 }),
+            product({ name: 'Organic Bananas', size: '2 lb', price: 2 }),
+            product({ name: 'Whole Milk', size: '1 gal', price: 4 }),
+        ];
+        const [cell] = computeBasketIndex(BASKET, products, base, NOW).cells;
+
+        assert.equal(cell.base_period, BASE_TIME);
+        assert.equal(cell.basket_cost, 9);
+        assert.equal(cell.base_cost, 8);
+        assert.equal(cell.index, 112.5);
+        assert.equal(cell.items.reduce((sum, i) => sum + i.contribution, 0), 112.5);
+    });
+
+    it('imputes missing items with the mean price relative of the cell', () => {
+        const base = {
+            'safeway|94105': {
+                established_at: BASE_TIME,
+                prices: { 'id:1': 1, 'name:organic bananas|2 lb': 2, 'name:whole milk|1 gal': 4 },
+            },
+        };
+        const products = [
+            product({ product_id: '1', price: 1.2 }),
+            product({ name: 'Organic Bananas', size: '2 lb', price: 2.4 }),
+            product({ name: 'Whole Milk', size: '1 gal', price: 3, in_stock: false }),
+        ];
+        const [cell] = computeBasketIndex(BASKET, products, base, NOW).cells;
+        const milk = cell.items.find(i => i.item === 'whole milk');
+
+        assert.equal(milk.status, 'imputed');
+        assert.equal(milk.effective_price, 4.8);
+        assert.equal(cell.index, 120);
+        assert.deepEqual(cell.missing, [{ item: 'whole milk', reason: 'missing_or_out_of_stock', imputed_price: 4.8 }]);
+    });
+
+    it('excludes items that were never priced', () => {
+        const products = [product({ product_id: '1', price: 1 })];
+        const [cell] = computeBasketIndex(BASKET, products, {}, BASE_TIME).cells;
+
+        assert.equal(cell.index, 100);
+        assert.equal(cell.missing.filter(m => m.reason === 'never_priced').length, 2);
+    });
+});
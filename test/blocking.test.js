@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { load as cheerioLoad } from 'cheerio';
+
+import { blockedError, blockReasonFromError, detectBlock } from '../src/blocking.js';
+
+const APOLLO = '<script id="node-apollo-state" type="application/json">%7B%7D</script>';
+
+const check = (html, extra = {}) => detectBlock({ statusCode: 200, html, $: cheerioLoad(html), label: 'LIST', ...extra });
+
+describe('detectBlock', () => {
+    it('flags block status codes', () => {
+        assert.equal(detectBlock({ statusCode: 403 }), 'status_403');
+        assert.equal(detectBlock({ statusCode: 429 }), 'status_429');
+        assert.equal(detectBlock({ statusCode: 200 }), null);
+    });
+
+    it('flags challenge pages served with 200', () => {
+        assert.equal(check('<html><body><div id="px-captcha"></div></body></html>'), 'captcha');
+        assert.equal(check('<html><head><title>Just a moment...</title></head></html>'), 'bot_challenge');
+        assert.equal(check('<html><head><title>Access Denied</title></head></html>'), 'access_denied');
+    });
+
+    it('flags pages without Apollo state or fallback content', () => {
+        assert.equal(check('<html><body><p>Loading</p></body></html>'), 'missing_apollo_state');
+        assert.equal(check('<html><body><p>Loading</p></body></html>', { label: 'DETAIL' }), 'missing_apollo_state');
+    });
+
+    it('judges watched product pages by status and challenge markers only', () => {
+        assert.equal(check('<html><body><p>This item is no longer available</p></body></html>', { label: 'WATCH' }), null);
+        assert.equal(check('<html><body><div id="px-captcha"></div></body></html>', { label: 'WATCH' }), 'captcha');
+        assert.equal(detectBlock({ statusCode: 429, label: 'WATCH' }), 'status_429');
+    });
+
+    it('does not flag missing pages or GraphQL responses for missing content', () => {
+        assert.equal(check('<html><body><h1>Page not found</h1></body></html>', { statusCode: 404 }), null);
+        assert.equal(check('<html><body></body></html>', { statusCode: 410, label: 'CATEGORY' }), null);
+        assert.equal(detectBlock({ statusCode: 200, html: '{"data":{}}', $: cheerioLoad('{"data":{}}'), label: 'GRAPHQL' }), null);
+    });
+
+    it('accepts genuine pages', () => {
+        assert.equal(check(`<html><body>${APOLLO}</body></html>`), null);
+        assert.equal(check('<html><body><a href="/products/1-milk">Milk</a></body></html>'), null);
+        assert.equal(check('<html><body><a href="/categories/316-food/318-dairy">Dairy</a></body></html>', { label: 'CATEGORY' }), null);
+        assert.equal(check('<script type="application/ld+json">{}</script>', { label: 'DETAIL' }), null);
+    });
+});
+
+describe('blockReasonFromError', () => {
+    it('reads the reason back from a block error', () => {
+        assert.equal(blockReasonFromError(blockedError('captcha')), 'captcha');
+        assert.equal(blockReasonFromError(new Error('request timed out after 30 seconds.')), null);
+        assert.equal(blockReasonFromError(undefined), null);
+    });
+});
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    buildDiagnosticsReport,
+    checkFillRates,
+    computeFillRates,
+    createDiagnostics,
+    summarizeApolloState,
+} from '../src/diagnostics.js';
+
+const APOLLO = {
+    'LandingTaxonomyProducts:abc': { q: { landingTaxonomyProducts: { products: [{ id: '1', name: 'Bananas', size: '1 lb' }] } } },
+    'Product:2': { __typename: 'Product', id: '2', name: 'Milk', price: 3 },
+    'Retailer:7': { __typename: 'Retailer', name: 'Safeway' },
+    'ROOT_QUERY': { shelf: { items: [{ __typename: 'ShelfTile', name: 'Greek Yogurt', priceString: '$5.99' }] } },
+};
+
+describe('summarizeApolloState', () => {
+    it('counts key prefixes and typenames', () => {
+        const summary = summarizeApolloState(APOLLO);
+        assert.deepEqual(summary.key_prefixes, { LandingTaxonomyProducts: 1, Product: 1, Retailer: 1, ROOT_QUERY: 1 });
+        assert.deepEqual(summary.typenames, { Product: 1, Retailer: 1, ShelfTile: 1 });
+    });
+
+    it('flags product-like typenames the extractor does not read', () => {
+        assert.deepEqual(summarizeApolloState(APOLLO).unknown_product_typenames, ['ShelfTile']);
+        assert.deepEqual(summarizeApolloState(null).unknown_product_typenames, []);
+    });
+});
+
+describe('createDiagnostics', () => {
+    it('aggregates pages, strategies and fill rates', () => {
+        const diagnostics = createDiagnostics();
+        diagnostics.recordPage({
+            url: 'https://www.instacart.com/categories/1',
+            label: 'LIST',
+            apolloData: APOLLO,
+            products: [{ extraction_strategy: 'taxonomy_products' }, { extraction_strategy: 'entity_keys' }],
+        });
+        diagnostics.recordPage({ url: 'https://www.instacart.com/categories/2', label: 'LIST', apolloData: null, products: [] });
+        diagnostics.recordRecords([
+            { price: 1, size: '1 lb', brand: null, image_url: 'x' },
+            { price: 3, size: '', brand: 'Horizon', image_url: null },
+        ]);
+
+        const { data } = diagnostics;
+        assert.equal(data.pages, 2);
+        assert.equal(data.pages_without_apollo, 1);
+        assert.equal(data.pages_without_products, 1);
+        assert.deepEqual(data.strategies, { taxonomy_products: 1, entity_keys: 1 });
+        assert.equal(data.page_log[0].products, 2);
+        assert.deepEqual(computeFillRates(data), { price: 1, size: 0.5, brand: 0.5, image_url: 0.5 });
+    });
+
+    it('continues from persisted data', () => {
+        const first = createDiagnostics();
+        first.recordRecords([{ price: 1 }]);
+        const resumed = createDiagnostics(JSON.parse(JSON.stringify(first.data)));
+        resumed.recordRecords([{ price: null }]);
+        assert.equal(computeFillRates(resumed.data).price, 0.5);
+    });
+});
+
+describe('checkFillRates', () => {
+    it('reports fields below their minimum', () => {
+        const rates = { price: 0.9, size: 0.5, brand: null, image_url: 1 };
+        assert.deepEqual(checkFillRates(rates, { price: '0.95', image_url: 0.8, brand: 0.1, rating: 0.5 }), [
+            { field: 'price', fill_rate: 0.9, minimum: 0.95 },
+            { field: 'brand', fill_rate: null, minimum: 0.1 },
+        ]);
+        assert.deepEqual(checkFillRates(rates, undefined), []);
+    });
+
+    it('is part of the DIAGNOSTICS report', () => {
+        const diagnostics = createDiagnostics();
+        diagnostics.recordRecords([{ price: null, size: '1 lb' }]);
+        const report = buildDiagnosticsReport(diagnostics.data, { price: 0.5 });
+        assert.deepEqual(report.violations, [{ field: 'price', fill_rate: 0, minimum: 0.5 }]);
+        assert.equal(report.fill_rates.size, 1);
+    });
+});
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { log } from 'apify';
+import { load as cheerioLoad } from 'cheerio';
+
+import { extractDetailsFromApollo, extractProductDetails } from '../src/details.js';
+import { processListingPage } from '../src/listing.js';
+import { discoverNextPage } from '../src/pagination.js';
+
+// Golden outputs live in test/golden; regenerate them with UPDATE_GOLDEN=1 npm test
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+log.setLevel(log.LEVELS.ERROR);
+
+const loadPage = name => cheerioLoad(readFileSync(new URL(`./fixtures/${name}.html`, import.meta.url), 'utf8'));
+
+/**
+ * Drop fields that change on every run
+ */
+const stable = products => products.map(({ timestamp, ...rest }) => rest);
+
+function assertGolden(name, actual) {
+    const goldenUrl = new URL(`./golden/${name}.json`, import.meta.url);
+    if (UPDATE_GOLDEN) {
+        writeFileSync(goldenUrl, `${JSON.stringify(actual, null, 2)}\n`);
+        return;
+    }
+    assert.deepEqual(actual, JSON.parse(readFileSync(goldenUrl, 'utf8')));
+}
+
+/**
+ * Run the listing pipeline the way the crawler does and keep the fields under test
+ */
+function extractListing(name, url, zip) {
+    const $ = loadPage(name);
+    const { products, apolloData } = processListingPage($, url, zip);
+    return {
+        products: stable(products),
+        next_page: discoverNextPage($, apolloData, { url, pageNo: 1 }),
+    };
+}
+
+describe('listing extraction', () => {
+    it('reads taxonomy products from the Apollo state', () => {
+        const result = extractListing('apollo-listing', 'https://www.instacart.com/categories/316-food/317-fresh-produce', '94105');
+        assert.equal(result.products.length, 3);
+        assert.ok(result.products.every(p => p.extraction_method === 'apollo_graphql'));
+        assertGolden('apollo-listing', result);
+    });
+
+    it('reads search results from the Apollo state', () => {
+        const result = extractListing('search', 'https://www.instacart.com/store/s?k=oat%20milk', '10001');
+        assert.equal(result.products.length, 2);
+        assertGolden('search', result);
+    });
+
+    it('falls back to product cards without an Apollo state', () => {
+        const result = extractListing('html-fallback', 'https://www.instacart.com/categories/316-food/318-dairy-eggs', '94105');
+        assert.equal(result.products.length, 3);
+        assert.ok(result.products.every(p => p.extraction_method === 'html_parsing'));
+        assertGolden('html-fallback', result);
+    });
+});
+
+describe('product detail extraction', () => {
+    it('merges Apollo details with JSON-LD ratings', () => {
+        const details = extractProductDetails(loadPage('product-detail'));
+        assert.equal(details.rating, 4.6);
+        assertGolden('product-detail', details);
+    });
+
+    it('omits nutrition and reviews when disabled', () => {
+        const details = extractProductDetails(loadPage('product-detail'), { includeNutrition: false, includeReviews: false });
+        assert.equal('nutrition' in details, false);
+        assert.equal('rating' in details, false);
+        assert.equal('review_count' in details, false);
+    });
+
+    it('reads details only from the entity of the requested product', () => {
+        const state = {
+            'Retailer:1': { __typename: 'Retailer', id: '1', description: 'Groceries delivered from your local store.' },
+            'Item:99': { __typename: 'Item', id: '99', name: 'Whole Milk', ratings: { average: 3.1, count: 40 }, upc: '070852000019' },
+            'Item:1': { __typename: 'Item', id: '1', name: 'Organic Bananas', description: 'Sweet organic bananas from Ecuador.' },
+        };
+        const details = extractDetailsFromApollo(state, { product_id: '1', product_url: 'https://www.instacart.com/products/1-organic-bananas' });
+        assert.equal(details.description, 'Sweet organic bananas from Ecuador.');
+        assert.equal(details.rating, undefined);
+        assert.equal(details.gtin, undefined);
+
+        assert.equal(extractDetailsFromApollo(state, { product_url: 'https://www.instacart.com/products/99' }).rating, 3.1);
+        assert.deepEqual(extractDetailsFromApollo(state), {});
+        assert.deepEqual(extractDetailsFromApollo(state, { product_id: '7' }), {});
+    });
+
+    it('takes the GTIN from the product, not from related items', () => {
+        const state = {
+            'Item:1': {
+                __typename: 'Item',
+                id: '1',
+                relatedItems: [{ __typename: 'Item', id: '99', upc: '070852000019', averageRating: 3.1 }],
+            },
+            'Item:2': { __typename: 'Item', id: '2', upc: '0000000040112' },
+        };
+        assert.deepEqual(extractDetailsFromApollo(state, { product_id: '1' }), {});
+        assert.equal(extractDetailsFromApollo(state, { product_id: '2' }).gtin, '00000000040112');
+    });
+});
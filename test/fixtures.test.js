@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { fixtureKey, loadFixture, saveFixture } from '../src/fixtures.js';
+
+describe('fixtures', () => {
+    let dir;
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'instacart-fixtures-'));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('derives a stable key per URL', () => {
+        assert.equal(fixtureKey('https://www.instacart.com/a'), fixtureKey('https://www.instacart.com/a'));
+        assert.notEqual(fixtureKey('https://www.instacart.com/a'), fixtureKey('https://www.instacart.com/b'));
+    });
+
+    it('round-trips HTML and metadata', async () => {
+        const url = 'https://www.instacart.com/categories/316-food?page=2';
+        const key = await saveFixture(dir, url, '<html>ok</html>', { label: 'LIST', scrolled: true });
+
+        assert.deepEqual((await readdir(dir)).sort(), [`${key}.html`, `${key}.json`]);
+        const fixture = await loadFixture(dir, url);
+        assert.equal(fixture.html, '<html>ok</html>');
+        assert.equal(fixture.meta.url, url);
+        assert.equal(fixture.meta.label, 'LIST');
+        assert.equal(fixture.meta.scrolled, true);
+    });
+
+    it('accepts Buffer bodies from the HTTP crawler', async () => {
+        const url = 'https://www.instacart.com/products/1';
+        await saveFixture(dir, url, Buffer.from('<p>buffer</p>'));
+        assert.equal((await loadFixture(dir, url)).html, '<p>buffer</p>');
+    });
+
+    it('returns null for URLs that were never recorded', async () => {
+        assert.equal(await loadFixture(dir, 'https://www.instacart.com/missing'), null);
+    });
+});
@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    buildGraphqlUrl,
+    collectItemIds,
+    discoverOperations,
+    extractProductsFromGraphql,
+    findGraphqlOperations,
+    itemBatches,
+    nextPageVariables,
+    parseGraphqlResponse,
+} from '../src/graphql.js';
+
+const HASH_A = 'a'.repeat(64);
+const HASH_B = 'b'.repeat(64);
+const BASE_URL = 'https://www.instacart.com/categories/316-food/317-fresh-produce';
+
+const APOLLO = {
+    [`LandingTaxonomyProducts:${HASH_A}`]: {
+        '{"slug":"317-fresh-produce","first":30,"after":null}': {
+            landingTaxonomyProducts: { products: [{ id: '1', name: 'Bananas', size: '1 lb', price: 0.59 }] },
+        },
+    },
+    [`Items:${HASH_B}`]: { '{"ids":["items_1-1"]}': { items: [] } },
+    'Product:1': { __typename: 'Product', id: '1', name: 'Bananas' },
+    'ROOT_QUERY': { shelf: {} },
+};
+
+describe('discoverOperations', () => {
+    it('reads persisted operations and their variables from the Apollo state', () => {
+        const operations = discoverOperations(APOLLO);
+        assert.deepEqual(operations.map(op => op.operationName), ['LandingTaxonomyProducts', 'Items']);
+        assert.equal(operations[0].sha256Hash, HASH_A);
+        assert.deepEqual(operations[0].variables, { slug: '317-fresh-produce', first: 30, after: null });
+    });
+
+    it('ignores entity keys and a missing state', () => {
+        assert.deepEqual(discoverOperations({ 'Product:1': { id: '1' } }), []);
+        assert.deepEqual(discoverOperations(null), []);
+    });
+});
+
+describe('findGraphqlOperations', () => {
+    it('picks the listing and Items operations', () => {
+        const { listing, items } = findGraphqlOperations(APOLLO);
+        assert.equal(listing.operationName, 'LandingTaxonomyProducts');
+        assert.equal(items.operationName, 'Items');
+    });
+
+    it('returns nulls when the page has no persisted queries', () => {
+        assert.deepEqual(findGraphqlOperations({}), { listing: null, items: null });
+    });
+});
+
+describe('buildGraphqlUrl', () => {
+    it('encodes the operation, variables and persisted query hash', () => {
+        const operation = { operationName: 'Items', sha256Hash: HASH_B, variables: { ids: ['x'] } };
+        const url = new URL(buildGraphqlUrl(operation, { ids: ['1', '2'] }, 'http://localhost:8765/graphql'));
+        assert.equal(url.pathname, '/graphql');
+        assert.equal(url.searchParams.get('operationName'), 'Items');
+        assert.deepEqual(JSON.parse(url.searchParams.get('variables')), { ids: ['1', '2'] });
+        assert.equal(JSON.parse(url.searchParams.get('extensions')).persistedQuery.sha256Hash, HASH_B);
+    });
+});
+
+describe('nextPageVariables', () => {
+    it('advances a cursor, a page number or an offset', () => {
+        assert.deepEqual(nextPageVariables({ first: 30, after: null }, { cursor: 'c2' }, 1), { first: 30, after: 'c2' });
+        assert.deepEqual(nextPageVariables({ page: 1 }, {}, 1), { page: 2 });
+        assert.deepEqual(nextPageVariables({ page: 1 }, { nextPage: 5 }, 1), { page: 5 });
+        assert.deepEqual(nextPageVariables({ offset: 30, first: 30 }, {}, 2), { offset: 60, first: 30 });
+    });
+
+    it('returns null without a usable paging variable', () => {
+        assert.equal(nextPageVariables({ first: 30, after: null }, {}, 1), null);
+        assert.equal(nextPageVariables({ offset: 0 }, {}, 1), null);
+        assert.equal(nextPageVariables({ slug: 'x' }, {}, 1), null);
+        assert.equal(nextPageVariables(null, {}, 1), null);
+    });
+});
+
+describe('parseGraphqlResponse', () => {
+    it('returns the data of a response', () => {
+        assert.deepEqual(parseGraphqlResponse(Buffer.from('{"data":{"items":[]}}')), { items: [] });
+    });
+
+    it('throws on GraphQL errors, missing data and non-JSON bodies', () => {
+        assert.throws(() => parseGraphqlResponse('{"errors":[{"message":"PersistedQueryNotFound"}]}'), /PersistedQueryNotFound/);
+        assert.throws(() => parseGraphqlResponse('{"data":null}'), /no data/);
+        assert.throws(() => parseGraphqlResponse('<html>blocked</html>'), /not JSON/);
+    });
+});
+
+describe('item IDs', () => {
+    it('collects IDs from an IDs-only listing', () => {
+        const data = { collectionProducts: { itemIds: ['items_1-1', 'items_1-2'], nested: { productIds: [3] } } };
+        assert.deepEqual(collectItemIds(data), ['items_1-1', 'items_1-2', '3']);
+    });
+
+    it('splits IDs into Items batches', () => {
+        const operation = { operationName: 'Items', sha256Hash: HASH_B, variables: { ids: [], shopId: '7' } };
+        const batches = itemBatches(operation, ['1', '2', '3', '4', '5'], 2);
+        assert.deepEqual(batches, [
+            { ids: ['1', '2'], shopId: '7' },
+            { ids: ['3', '4'], shopId: '7' },
+            { ids: ['5'], shopId: '7' },
+        ]);
+    });
+});
+
+describe('extractProductsFromGraphql', () => {
+    it('reads listing responses with the Apollo extractor', () => {
+        const operation = { operationName: 'LandingTaxonomyProducts', sha256Hash: HASH_A };
+        const variables = { slug: '317-fresh-produce', after: 'c2' };
+        const data = { landingTaxonomyProducts: { products: [{ id: '2', name: 'Apples', size: '3 lb', price: 4.99 }] } };
+        const { products, apolloData } = extractProductsFromGraphql(operation, variables, data, BASE_URL);
+        assert.equal(products.length, 1);
+        assert.equal(products[0].name, 'Apples');
+        assert.equal(products[0].price, 4.99);
+        assert.equal(products[0].extraction_strategy, 'taxonomy_products');
+        assert.equal(products[0].extraction_method, 'graphql_api');
+        assert.ok(apolloData[`LandingTaxonomyProducts:${HASH_A}`]);
+    });
+
+    it('maps Items lookups with the product mappers', () => {
+        const operation = { operationName: 'Items', sha256Hash: HASH_B };
+        const data = { items: [{ id: 'items_1-1', name: 'Oat Milk', brandName: 'Oatly', price: '$4.99' }, null] };
+        const { products } = extractProductsFromGraphql(operation, { ids: ['items_1-1'] }, data, BASE_URL);
+        assert.equal(products.length, 1);
+        assert.equal(products[0].brand, 'Oatly');
+        assert.equal(products[0].price, 4.99);
+        assert.equal(products[0].extraction_strategy, 'graphql_items');
+        assert.equal(products[0].extraction_method, 'graphql_api');
+    });
+});
@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { applyPriceHistory, historyKey, loadPriceHistory, savePriceHistory } from '../src/history.js';
+
+const NOW = '2026-01-10T00:00:00.000Z';
+const EARLIER = '2026-01-09T00:00:00.000Z';
+
+describe('historyKey', () => {
+    it('combines retailer, zipcode and product id', () => {
+        assert.equal(historyKey({ product_id: '42', retailer: 'safeway', zipcode: '94105' }), 'safeway|94105|42');
+        assert.equal(historyKey({ product_id: '42', zipcode: '94105' }), 'default|94105|42');
+    });
+
+    it('returns null without an identifier', () => {
+        assert.equal(historyKey({ name: 'Bananas' }), null);
+    });
+});
+
+describe('applyPriceHistory', () => {
+    it('marks first sightings without a change row', () => {
+        const product = { product_id: '1', price: 2, in_stock: true };
+        const { entry, change } = applyPriceHistory(product, undefined, NOW);
+
+        assert.equal(product.previous_price, null);
+        assert.equal(product.price_change, null);
+        assert.equal(product.first_seen, NOW);
+        assert.equal(product.last_seen, null);
+        assert.deepEqual(entry, { price: 2, in_stock: true, first_seen: NOW, last_seen: NOW });
+        assert.equal(change, null);
+    });
+
+    it('computes price changes against the previous run', () => {
+        const product = { product_id: '1', retailer: 'costco', zipcode: '10001', price: 2.5, in_stock: true };
+        const previous = { price: 2, in_stock: true, first_seen: EARLIER, last_seen: EARLIER };
+        const { entry, change } = applyPriceHistory(product, previous, NOW);
+
+        assert.equal(product.previous_price, 2);
+        assert.equal(product.price_change, 0.5);
+        assert.equal(product.price_change_percent, 25);
+        assert.equal(product.first_seen, EARLIER);
+        assert.equal(product.last_seen, EARLIER);
+        assert.equal(entry.last_seen, NOW);
+        assert.deepEqual(change.change_types, ['price']);
+        assert.equal(change.history_key, 'costco|10001|1');
+    });
+
+    it('reports stock changes even when the price is unchanged', () => {
+        const product = { product_id: '1', price: 2, in_stock: false };
+        const { change } = applyPriceHistory(product, { price: 2, in_stock: true, first_seen: EARLIER }, NOW);
+
+        assert.deepEqual(change.change_types, ['stock']);
+        assert.equal(change.previous_in_stock, true);
+    });
+
+    it('keeps the previous price when the current one is missing', () => {
+        const product = { product_id: '1', price: null };
+        const { entry, change } = applyPriceHistory(product, { price: 3, first_seen: EARLIER }, NOW);
+
+        assert.equal(entry.price, 3);
+        assert.equal(product.price_change, null);
+        assert.equal(change, null);
+    });
+});
+
+describe('loadPriceHistory / savePriceHistory', () => {
+    it('round-trips through a key-value store', async () => {
+        const records = new Map();
+        const store = {
+            getValue: async (key) => records.get(key) ?? null,
+            setValue: async (key, value) => records.set(key, value),
+        };
+
+        assert.deepEqual(await loadPriceHistory(store), {});
+        await savePriceHistory(store, { a: { price: 1 } });
+        assert.deepEqual(await loadPriceHistory(store), { a: { price: 1 } });
+    });
+});
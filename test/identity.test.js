@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { log } from 'apify';
+import { load as cheerioLoad } from 'cheerio';
+
+import { takeHistoryEntry } from '../src/history.js';
+import { extractFromHTML } from '../src/html.js';
+import {
+    cellKey,
+    createIdentityRegistry,
+    hasProductId,
+    productIdentifiers,
+    productKey,
+    resolveProductKey,
+    variantToken,
+} from '../src/identity.js';
+
+log.setLevel(log.LEVELS.ERROR);
+
+const ORIGIN = 'https://www.instacart.com';
+
+describe('productKey', () => {
+    it('reconciles the identifiers of every extraction path', () => {
+        assert.equal(productKey({ product_id: '17270' }), '17270');
+        assert.equal(productKey({ product_id: 'items_1234-17270' }), '17270');
+        assert.equal(productKey({ product_id: '17270-organic-bananas' }), '17270');
+        assert.equal(productKey({ name: 'Bananas', product_url: `${ORIGIN}/products/17270-organic-bananas` }), '17270');
+        assert.equal(productKey({ product_id: 'abc' }), 'id_abc');
+        assert.equal(productKey({ gtin: '00000000040112' }), 'gtin_00000000040112');
+    });
+
+    it('keeps legacy IDs apart from product IDs', () => {
+        const legacy = { product_id: '555', product_url: `${ORIGIN}/store/items/item_555` };
+        assert.equal(productKey(legacy), 'item_555');
+        assert.deepEqual(productIdentifiers({ ...legacy, product_id: '17270', gtin: '1' }), ['17270', 'item_555', 'gtin_1']);
+    });
+
+    it('keys records without identifiers by name and package variant', () => {
+        assert.equal(productKey({ name: 'Organic Bananas', size: '2 lb' }), 'name_organic-bananas|2lb');
+        assert.equal(productKey({ name: 'Organic Bananas' }), 'name_organic-bananas');
+        assert.equal(productKey({}), null);
+        assert.equal(variantToken('16 oz'), variantToken('1 lb'));
+        assert.notEqual(variantToken('1 lb'), variantToken('2 lb'));
+        assert.equal(variantToken('per lb'), 'per-lb');
+        assert.equal(variantToken(null), '');
+    });
+});
+
+describe('createIdentityRegistry', () => {
+    it('resolves weaker identifiers to the product ID they were seen with', () => {
+        const data = {};
+        const registry = createIdentityRegistry(data);
+
+        const apollo = { product_id: '17270', product_url: `${ORIGIN}/store/items/item_555`, gtin: '4011' };
+        assert.equal(registry.identify(apollo), '17270');
+        assert.deepEqual(apollo.product_identifiers, ['17270', 'item_555', 'gtin_4011']);
+
+        const htmlCard = { name: 'Bananas', product_url: `${ORIGIN}/store/items/item_555` };
+        assert.equal(registry.identify(htmlCard), '17270');
+        assert.deepEqual(htmlCard.product_identifiers, ['17270', 'item_555']);
+
+        // Persisted aliases apply in the next run; the first product ID stays
+        assert.equal(createIdentityRegistry(data).identify({ gtin: '4011' }), '17270');
+        registry.identify({ product_id: '99', gtin: '4011' });
+        assert.equal(data.aliases.gtin_4011, '17270');
+    });
+
+    it('leaves records without a product ID on their own key', () => {
+        const product = { name: 'Store Bread', size: '24 oz' };
+        assert.equal(createIdentityRegistry().identify(product), 'name_store-bread|1.5lb');
+        assert.deepEqual(product.product_identifiers, ['name_store-bread|1.5lb']);
+    });
+});
+
+describe('hasProductId', () => {
+    it('matches the raw ID, the key and merged identifiers', () => {
+        const product = { product_id: 'items_1-17270', product_key: '17270', product_identifiers: ['17270', 'item_555'] };
+        assert.equal(hasProductId(product, 'items_1-17270'), true);
+        assert.equal(hasProductId(product, '17270'), true);
+        assert.equal(hasProductId(product, 'item_555'), true);
+        assert.equal(hasProductId(product, '555'), false);
+        assert.equal(hasProductId({ product_id: 42 }, '42'), true);
+    });
+});
+
+describe('resolveProductKey', () => {
+    it('resolves raw IDs, keys and aliases to the product key', () => {
+        const data = { aliases: { item_555: '17270' } };
+        assert.equal(resolveProductKey('items_1-17270', data), '17270');
+        assert.equal(resolveProductKey('item_555', data), '17270');
+        assert.equal(resolveProductKey('gtin_4011', data), 'gtin_4011');
+        assert.equal(resolveProductKey(' ', data), null);
+    });
+});
+
+describe('cellKey', () => {
+    it('keys the retailer and zipcode a record was priced in', () => {
+        assert.equal(cellKey({ retailer: 'safeway', zipcode: '94105' }), 'safeway|94105');
+        assert.equal(cellKey({}), 'default|');
+    });
+});
+
+describe('takeHistoryEntry', () => {
+    it('moves an entry stored under another identifier to the product key', () => {
+        const history = { 'safeway|94105|item_555': { price: 2 } };
+        const product = { retailer: 'safeway', zipcode: '94105', product_key: '17270', product_identifiers: ['17270', 'item_555'] };
+        const { key, previous } = takeHistoryEntry(history, product);
+
+        assert.equal(key, 'safeway|94105|17270');
+        assert.deepEqual(previous, { price: 2 });
+        assert.deepEqual(Object.keys(history), ['safeway|94105|17270']);
+    });
+
+    it('returns no entry for a new or unidentified product', () => {
+        assert.deepEqual(takeHistoryEntry({}, { product_key: '1' }), { key: 'default||1', previous: undefined });
+        assert.deepEqual(takeHistoryEntry({}, { name: 'x' }), { key: null, previous: undefined });
+    });
+});
+
+describe('extractFromHTML dedupe', () => {
+    it('keeps package variants of one product and drops repeated cards', () => {
+        const $ = cheerioLoad(`<html><body><ul>
+<li data-testid="item-card-1"><h3>Organic Bananas</h3><span class="Price">$1.99</span><span class="Size">1 lb</span></li>
+<li data-testid="item-card-2"><h3>Organic Bananas</h3><span class="Price">$3.49</span><span class="Size">2 lb</span></li>
+<li data-testid="item-card-3"><h3>Organic Bananas</h3><span class="Price">$1.99</span><span class="Size">16 oz</span></li>
+</ul></body></html>`);
+        const products = extractFromHTML($, ORIGIN);
+        assert.deepEqual(products.map(p => p.size), ['1 lb', '2 lb']);
+    });
+});
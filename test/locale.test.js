@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { extractLandingProduct } from '../src/apollo.js';
+import {
+    acceptLanguageList,
+    detectCurrency,
+    localeForUrl,
+    parsePostalCode,
+    postalCodeCountry,
+    resolveLocale,
+    siteOrigin,
+} from '../src/locale.js';
+import { extractEffectiveZipcode } from '../src/location.js';
+import { parsePrice } from '../src/utils.js';
+
+describe('locales', () => {
+    it('resolves supported locale codes in any case', () => {
+        assert.equal(resolveLocale('fr_ca').code, 'fr-CA');
+        assert.equal(resolveLocale('en-CA').currency, 'CAD');
+        assert.equal(resolveLocale('en-us').origin, 'https://www.instacart.com');
+        assert.equal(resolveLocale('de-DE'), null);
+        assert.equal(resolveLocale(undefined), null);
+    });
+
+    it('derives the locale and origin from the site', () => {
+        assert.equal(localeForUrl('https://www.instacart.ca/categories/316-food'), 'en-CA');
+        assert.equal(localeForUrl('https://www.instacart.com/categories/316-food'), 'en-US');
+        assert.equal(siteOrigin('https://www.instacart.ca/store/loblaws/s?k=milk'), 'https://www.instacart.ca');
+        assert.equal(siteOrigin('http://localhost:8765/categories/1'), 'https://www.instacart.com');
+        assert.equal(siteOrigin(null), 'https://www.instacart.com');
+    });
+
+    it('lists Accept-Language tags in preference order', () => {
+        assert.deepEqual(acceptLanguageList(resolveLocale('fr-CA').acceptLanguage), ['fr-CA', 'fr', 'en-CA', 'en']);
+    });
+});
+
+describe('parsePostalCode', () => {
+    it('normalizes US ZIP codes and Canadian postal codes', () => {
+        assert.equal(parsePostalCode('94105'), '94105');
+        assert.equal(parsePostalCode('94105-1234'), '94105');
+        assert.equal(parsePostalCode('m5v3l9'), 'M5V 3L9');
+        assert.equal(parsePostalCode(' H2Y-1C6 '), 'H2Y 1C6');
+    });
+
+    it('rejects other values', () => {
+        assert.equal(parsePostalCode('9410'), null);
+        assert.equal(parsePostalCode('D5V 3L9'), null);
+        assert.equal(parsePostalCode(null), null);
+    });
+
+    it('tells US ZIP codes from Canadian postal codes', () => {
+        assert.equal(postalCodeCountry('94105-1234'), 'US');
+        assert.equal(postalCodeCountry('m5v3l9'), 'CA');
+        assert.equal(postalCodeCountry('9410'), null);
+    });
+
+    it('reads a Canadian delivery location from the Apollo state', () => {
+        assert.equal(extractEffectiveZipcode({ 'Address:1': { postalCode: 'M5V3L9' } }), 'M5V 3L9');
+        assert.equal(extractEffectiveZipcode({ 'Address:1': { zipCode: '94105-0001' } }), '94105');
+    });
+});
+
+describe('locale-aware prices', () => {
+    it('parses US and Canadian price formats', () => {
+        assert.equal(parsePrice('$1,299.99'), 1299.99);
+        assert.equal(parsePrice('CA$4.49'), 4.49);
+        assert.equal(parsePrice('1,99 $'), 1.99);
+        assert.equal(parsePrice('1 299,99 $'), 1299.99);
+        assert.equal(parsePrice('1.299,99 €'), 1299.99);
+        assert.equal(parsePrice('$0.125/oz'), 0.125);
+        assert.equal(parsePrice('$1,299'), 1299);
+        assert.equal(parsePrice('n/a'), null);
+    });
+
+    it('detects explicit currencies only', () => {
+        assert.equal(detectCurrency('CA$4.49'), 'CAD');
+        assert.equal(detectCurrency('4,49 $ CA'), 'CAD');
+        assert.equal(detectCurrency('US$4.49'), 'USD');
+        assert.equal(detectCurrency({ amount: 4.49, currencyCode: 'cad' }), 'CAD');
+        assert.equal(detectCurrency('$4.49'), null);
+        assert.equal(detectCurrency(4.49), null);
+    });
+
+    it('builds product URLs on the page site and keeps the price currency', () => {
+        const product = extractLandingProduct(
+            { id: '7', name: 'Lait 2 %', landingParam: '7-lait', price: { amount: '4,49 $', currency: 'CAD' } },
+            'https://www.instacart.ca/categories/316-food',
+        );
+        assert.equal(product.product_url, 'https://www.instacart.ca/products/7-lait');
+        assert.equal(product.price, 4.49);
+        assert.equal(product.currency, 'CAD');
+    });
+});
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    buildComparison,
+    createProductMatcher,
+    matchSignature,
+    normalizeGtin,
+    signatureSimilarity,
+} from '../src/matching.js';
+
+const product = (fields) => ({ brand: null, size: null, price: null, zipcode: '94105', ...fields });
+
+describe('normalizeGtin', () => {
+    it('pads valid UPC/EAN codes to 14 digits', () => {
+        assert.equal(normalizeGtin('0 36000 29145 2'), '00036000291452');
+        assert.equal(normalizeGtin('4006381333931'), '04006381333931');
+        assert.equal(normalizeGtin(96385074), '00000096385074');
+    });
+
+    it('rejects bad lengths and check digits', () => {
+        assert.equal(normalizeGtin('036000291453'), null);
+        assert.equal(normalizeGtin('12345'), null);
+        assert.equal(normalizeGtin(null), null);
+    });
+});
+
+describe('signatureSimilarity', () => {
+    const sim = (a, b) => signatureSimilarity(matchSignature(a), matchSignature(b));
+
+    it('ignores case, punctuation, plurals and size text in names', () => {
+        assert.equal(sim(
+            product({ name: 'Organic Bananas, 2 lb', size: '2 lb' }),
+            product({ name: 'organic banana', size: '32 oz' }),
+        ), 1);
+    });
+
+    it('rejects different brands and sizes', () => {
+        assert.equal(sim(
+            product({ name: 'Whole Milk', brand: 'Horizon', size: '1 gal' }),
+            product({ name: 'Whole Milk', brand: 'Organic Valley', size: '1 gal' }),
+        ), 0);
+        assert.equal(sim(
+            product({ name: 'Whole Milk', brand: 'Horizon', size: '1 gal' }),
+            product({ name: 'Whole Milk', brand: 'Horizon', size: '0.5 gal' }),
+        ), 0);
+    });
+
+    it('lowers the score when one side has no brand', () => {
+        assert.equal(sim(
+            product({ name: 'Horizon Whole Milk', brand: 'Horizon', size: '1 gal' }),
+            product({ name: 'Horizon Whole Milk', size: '128 fl oz' }),
+        ) < 1, true);
+    });
+});
+
+describe('createProductMatcher', () => {
+    it('groups the same product across retailers', () => {
+        const matcher = createProductMatcher();
+        const safeway = matcher.match(product({ retailer: 'safeway', product_id: 's1', name: 'Organic Bananas', size: '2 lb' }));
+        const costco = matcher.match(product({ retailer: 'costco', product_id: 'c9', name: 'Bananas, Organic', size: '32 oz' }));
+        const apples = matcher.match(product({ retailer: 'costco', product_id: 'c10', name: 'Organic Gala Apples', size: '3 lb' }));
+
+        assert.equal(costco.match_group_id, safeway.match_group_id);
+        assert.equal(costco.match_method, 'similarity');
+        assert.notEqual(apples.match_group_id, safeway.match_group_id);
+        assert.match(safeway.match_group_id, /^mg-[0-9a-f]{12}$/);
+    });
+
+    it('matches on GTIN regardless of names', () => {
+        const matcher = createProductMatcher();
+        const a = matcher.match(product({ retailer: 'kroger', product_id: 'k1', name: 'Cheerios', gtin: '016000275287' }));
+        const b = matcher.match(product({ retailer: 'safeway', product_id: 's7', name: 'General Mills Cheerios Cereal 8.9oz', gtin: '0016000275287' }));
+        assert.equal(a.match_group_id, 'gtin-00016000275287');
+        assert.deepEqual(b, { gtin: '00016000275287', match_group_id: a.match_group_id, match_method: 'gtin', match_score: 1 });
+    });
+
+    it('does not put two products of one retailer in a group', () => {
+        const matcher = createProductMatcher();
+        const a = matcher.match(product({ retailer: 'safeway', product_id: 's1', name: 'Organic Bananas', size: '2 lb' }));
+        const b = matcher.match(product({ retailer: 'safeway', product_id: 's2', name: 'Organic Bananas Bunch', size: '2 lb' }));
+        assert.notEqual(a.match_group_id, b.match_group_id);
+    });
+
+    it('keeps matching against persisted groups', () => {
+        const groups = {};
+        const first = createProductMatcher(groups).match(product({ retailer: 'safeway', product_id: 's1', name: 'Greek Yogurt', brand: 'Fage', size: '32 oz' }));
+        const restored = createProductMatcher(JSON.parse(JSON.stringify(groups)));
+        const second = restored.match(product({ retailer: 'kroger', product_id: 'k4', name: 'Fage Greek Yogurt', brand: 'FAGE', size: '2 lb' }));
+        assert.equal(second.match_group_id, first.match_group_id);
+    });
+});
+
+describe('buildComparison', () => {
+    it('lists prices per retailer for groups found at several retailers', () => {
+        const { match, groups } = createProductMatcher();
+        match(product({ retailer: 'safeway', product_id: 's1', name: 'Organic Bananas', size: '2 lb', price: 2.49 }));
+        match(product({ retailer: 'costco', product_id: 'c9', name: 'Organic Bananas', size: '2 lb', price: 1.99 }));
+        match(product({ retailer: 'costco', product_id: 'c10', name: 'Organic Gala Apples', size: '3 lb', price: 4.99 }));
+
+        const rows = buildComparison(groups);
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].retailers, 2);
+        assert.equal(rows[0].cheapest_retailer, 'costco');
+        assert.equal(rows[0].price_spread, 0.5);
+        assert.deepEqual(rows[0].offers.map(o => o.price), [1.99, 2.49]);
+    });
+});
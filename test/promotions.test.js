@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { load as cheerioLoad } from 'cheerio';
+
+import {
+    addPromotionPricing,
+    computeEffectivePrice,
+    extractPromotionsFromApollo,
+    extractPromotionsFromCard,
+    parsePromotionDate,
+    parsePromotionText,
+    PROMOTION_TYPES,
+} from '../src/promotions.js';
+
+const NOW = new Date('2026-01-15T00:00:00.000Z');
+const parse = text => parsePromotionText(text, { now: NOW });
+
+describe('parsePromotionText', () => {
+    it('parses buy-get deals', () => {
+        const deal = parse('Buy 1, Get 1 Free');
+        assert.equal(deal.type, PROMOTION_TYPES.BOGO);
+        assert.equal(deal.buy_quantity, 1);
+        assert.equal(deal.get_quantity, 1);
+        assert.equal(deal.get_discount_percent, 100);
+        assert.equal(parse('Buy one get one 50% off').get_discount_percent, 50);
+        assert.equal(parse('BOGO').min_quantity, 2);
+    });
+
+    it('parses multi-buy deals', () => {
+        const multiBuy = parse('2 for $5');
+        assert.equal(multiBuy.type, PROMOTION_TYPES.MULTI_BUY);
+        assert.equal(multiBuy.min_quantity, 2);
+        assert.equal(multiBuy.deal_price, 5);
+        const buySave = parse('Buy 2, save $1');
+        assert.equal(buySave.min_quantity, 2);
+        assert.equal(buySave.savings, 1);
+        const percent = parse('Save 20% when you buy 3');
+        assert.equal(percent.min_quantity, 3);
+        assert.equal(percent.discount_percent, 20);
+    });
+
+    it('parses coupons and loyalty prices', () => {
+        const coupon = parse('Digital coupon: Save $1.00');
+        assert.equal(coupon.type, PROMOTION_TYPES.COUPON);
+        assert.equal(coupon.requires_coupon, true);
+        assert.equal(coupon.savings, 1);
+
+        const loyalty = parse('$2.99 with club card');
+        assert.equal(loyalty.type, PROMOTION_TYPES.LOYALTY);
+        assert.equal(loyalty.requires_loyalty, true);
+        assert.equal(loyalty.deal_price, 2.99);
+
+        assert.equal(parsePromotionText('Save $1.00 on Oatly', { now: NOW, coupon: true }).type, PROMOTION_TYPES.COUPON);
+    });
+
+    it('reads validity dates', () => {
+        const deal = parse('3 for $10, valid 1/10 - 1/24');
+        assert.equal(deal.valid_from, '2026-01-10');
+        assert.equal(deal.valid_until, '2026-01-24');
+        assert.equal(parse('Clip coupon 15% off, expires Feb 2, 2026').valid_until, '2026-02-02');
+    });
+
+    it('parses fr-CA deals with trailing dollar signs and decimal commas', () => {
+        const multiBuy = parse('2 pour 5,00 $');
+        assert.equal(multiBuy.type, PROMOTION_TYPES.MULTI_BUY);
+        assert.equal(multiBuy.min_quantity, 2);
+        assert.equal(multiBuy.deal_price, 5);
+
+        const sale = parse('Économisez 1,00 $');
+        assert.equal(sale.type, PROMOTION_TYPES.SALE);
+        assert.equal(sale.savings, 1);
+        assert.equal(parse('Économisez 15 %').discount_percent, 15);
+
+        const loyalty = parse('2,49 $ avec la carte');
+        assert.equal(loyalty.type, PROMOTION_TYPES.LOYALTY);
+        assert.equal(loyalty.deal_price, 2.49);
+    });
+
+    it('ignores text that is not a promotion', () => {
+        assert.equal(parse('Organic'), null);
+        assert.equal(parse(''), null);
+    });
+});
+
+describe('parsePromotionDate', () => {
+    it('normalizes dates to YYYY-MM-DD', () => {
+        assert.equal(parsePromotionDate('2026-02-01T07:59:59Z', NOW), '2026-02-01');
+        assert.equal(parsePromotionDate('01/31/26', NOW), '2026-01-31');
+        assert.equal(parsePromotionDate('Jan 31', NOW), '2026-01-31');
+        assert.equal(parsePromotionDate('12/28', NOW), '2025-12-28');
+        assert.equal(parsePromotionDate('not a date', NOW), null);
+    });
+});
+
+describe('computeEffectivePrice', () => {
+    it('prices each deal type per item', () => {
+        assert.equal(computeEffectivePrice(parse('Buy 1, get 1 free'), 4), 2);
+        assert.equal(computeEffectivePrice(parse('Buy 2 get 1 free'), 3), 2);
+        assert.equal(computeEffectivePrice(parse('2 for $5'), 4), 2.5);
+        assert.equal(computeEffectivePrice(parse('Buy 2, save $1'), 4), 3.5);
+        assert.equal(computeEffectivePrice(parse('Digital coupon 25% off'), 4), 3);
+        assert.equal(computeEffectivePrice(parse('$2.99 with club card'), 4), 2.99);
+        assert.equal(computeEffectivePrice(parse('Sale'), 4), 4);
+    });
+});
+
+describe('addPromotionPricing', () => {
+    it('adds sale, loyalty and effective prices', () => {
+        const product = addPromotionPricing(
+            { price: 3, original_price: 4, size: '16 oz' },
+            [parse('$2.50 with club card')],
+        );
+        assert.equal(product.regular_price, 4);
+        assert.equal(product.sale_price, 3);
+        assert.equal(product.loyalty_price, 2.5);
+        assert.equal(product.promotion_type, PROMOTION_TYPES.LOYALTY);
+        assert.equal(product.effective_price, 2.5);
+        assert.equal(product.effective_price_per_unit, 2.5);
+        assert.deepEqual(product.promotions.map(p => p.type), [PROMOTION_TYPES.SALE, PROMOTION_TYPES.LOYALTY]);
+    });
+
+    it('prices fr-CA multi-buy deals per item', () => {
+        const product = addPromotionPricing({ price: 3.49, original_price: null, size: '500 g', currency: 'CAD' }, [parse('2 pour 5,00 $')]);
+        assert.equal(product.effective_price, 2.5);
+    });
+
+    it('keeps the listed price without promotions', () => {
+        const product = addPromotionPricing({ price: 2, original_price: null, size: '1 lb' });
+        assert.equal(product.sale_price, null);
+        assert.equal(product.promotion_type, null);
+        assert.equal(product.effective_price, 2);
+        assert.deepEqual(product.promotions, []);
+    });
+});
+
+describe('promotion sources', () => {
+    it('collects Apollo promotions, coupons and loyalty prices', () => {
+        const deals = extractPromotionsFromApollo({
+            promotions: [{ description: 'Buy 1, get 1 free', endDate: '2026-02-01T07:59:59Z' }],
+            coupons: [{ description: 'Save $1.00 on Oatly' }],
+            clubPrice: 2.49,
+        }, { now: NOW });
+        assert.deepEqual(deals.map(d => d.type), [PROMOTION_TYPES.BOGO, PROMOTION_TYPES.COUPON, PROMOTION_TYPES.LOYALTY]);
+        assert.equal(deals[0].valid_until, '2026-02-01');
+    });
+
+    it('reads promotion badges on product cards', () => {
+        const $ = cheerioLoad('<li><h3>Milk</h3><div class="DealBadge">2 for $7</div></li>');
+        const deals = extractPromotionsFromCard($('li'), { now: NOW });
+        assert.equal(deals.length, 1);
+        assert.equal(deals[0].deal_price, 7);
+    });
+});
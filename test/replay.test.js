@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { promisify } from 'node:util';
+
+import { saveFixture } from '../src/fixtures.js';
+
+const run = promisify(execFile);
+const readFixture = name => readFile(new URL(`./fixtures/${name}.html`, import.meta.url), 'utf8');
+
+const LISTING_URL = 'https://www.instacart.com/categories/316-food/317-fresh-produce';
+const SEARCH_URL = 'https://www.instacart.com/store/s?k=oat%20milk';
+const GONE_URL = 'https://www.instacart.com/categories/316-food/999-discontinued';
+const UNRECORDED_URL = 'https://www.instacart.com/categories/316-food/318-dairy';
+
+describe('scrape in replay mode', () => {
+    let dir;
+    let dataset;
+    let stats;
+
+    before(async () => {
+        dir = await mkdtemp(path.join(tmpdir(), 'instacart-replay-'));
+        const fixturesDir = path.join(dir, 'fixtures');
+        const storageDir = path.join(dir, 'storage');
+
+        await saveFixture(fixturesDir, LISTING_URL, await readFixture('apollo-listing'), { label: 'LIST' });
+        await saveFixture(fixturesDir, SEARCH_URL, await readFixture('search'), { label: 'LIST' });
+        await saveFixture(fixturesDir, GONE_URL, '', { label: 'LIST', statusCode: 404 });
+
+        const inputDir = path.join(storageDir, 'key_value_stores', 'default');
+        await mkdir(inputDir, { recursive: true });
+        await writeFile(path.join(inputDir, 'INPUT.json'), JSON.stringify({
+            startUrls: [LISTING_URL, SEARCH_URL, GONE_URL, UNRECORDED_URL],
+            zipcode: '94105',
+            max_pages: 1,
+            extractDetails: false,
+            trackHistory: false,
+            delay_ms: 0,
+            fixtureMode: 'replay',
+            fixturesDir,
+        }));
+
+        await run(process.execPath, [new URL('../src/main.js', import.meta.url).pathname], {
+            cwd: dir,
+            env: { ...process.env, CRAWLEE_STORAGE_DIR: storageDir, CRAWLEE_PURGE_ON_START: '0', APIFY_LOG_LEVEL: 'ERROR' },
+            timeout: 120_000,
+        });
+
+        const datasetDir = path.join(storageDir, 'datasets', 'default');
+        const files = (await readdir(datasetDir)).filter(f => f.endsWith('.json')).sort();
+        dataset = await Promise.all(files.map(async f => JSON.parse(await readFile(path.join(datasetDir, f), 'utf8'))));
+        stats = JSON.parse(await readFile(path.join(inputDir, 'STATS.json'), 'utf8'));
+    });
+
+    after(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    it('saves the products of every recorded page', () => {
+        assert.deepEqual(dataset.map(p => p.name).sort(), [
+            'Baby Spinach',
+            'Hass Avocados, Bag',
+            'Oatly Oat Milk, Original',
+            'Organic Bananas',
+            'Planet Oat Oatmilk Extra Creamy',
+        ]);
+        const bananas = dataset.find(p => p.product_id === '17270');
+        assert.equal(bananas.price, 0.79);
+        assert.equal(bananas.zipcode, '94105');
+        assert.equal(stats.total_products_saved, dataset.length);
+    });
+
+    it('reports missing and unrecorded pages in failed_requests', () => {
+        const failures = Object.fromEntries(stats.failed_requests.map(f => [f.url, f]));
+        assert.deepEqual(Object.keys(failures).sort(), [GONE_URL, UNRECORDED_URL].sort());
+        assert.equal(failures[GONE_URL].reason, 'status_404');
+        assert.equal(failures[GONE_URL].blocked, false);
+        assert.equal(failures[UNRECORDED_URL].reason, 'error');
+        assert.equal(failures[UNRECORDED_URL].stage, 'replay');
+        assert.equal(stats.blocks_detected, 0);
+    });
+});
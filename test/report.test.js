@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildCategoryReport, percentile, renderReportHtml, summarizeValues } from '../src/report.js';
+
+const product = (fields) => ({
+    category: 'Dairy & Eggs',
+    subcategory: 'Milk',
+    retailer: 'safeway',
+    zipcode: '94105',
+    currency: 'USD',
+    in_stock: true,
+    sale_price: null,
+    promotions: [],
+    ...fields,
+});
+
+const PRODUCTS = [
+    product({ price: 2, price_per_unit: 0.0156, unit: 'fl oz' }),
+    product({ price: 4, price_per_unit: 0.0313, unit: 'fl oz', sale_price: 4, promotions: [{ type: 'sale' }] }),
+    product({ price: 6, price_per_unit: 0.0469, unit: 'fl oz', in_stock: false }),
+    product({ price: 8, subcategory: 'Eggs', price_per_unit: 0.6667, unit: 'ct', in_stock: null }),
+    product({ price: 3, retailer: 'costco' }),
+];
+
+describe('summarizeValues', () => {
+    it('interpolates percentiles', () => {
+        assert.equal(percentile([1, 2, 3, 4], 50), 2.5);
+        assert.equal(percentile([1, 2, 3, 4], 90), 3.7);
+        assert.equal(percentile([], 50), null);
+    });
+
+    it('summarizes numbers and skips missing values', () => {
+        assert.deepEqual(summarizeValues([4, null, 2, 8, 6]), {
+            count: 4, min: 2, p10: 2.6, p25: 3.5, median: 5, mean: 5, p75: 6.5, p90: 7.4, max: 8,
+        });
+        assert.equal(summarizeValues([null, undefined]), null);
+    });
+});
+
+describe('buildCategoryReport', () => {
+    const report = buildCategoryReport(PRODUCTS, { generatedAt: '2026-01-01T00:00:00.000Z' });
+    const find = (fields) => report.groups.find(g => Object.entries(fields).every(([k, v]) => g[k] === v));
+
+    it('groups by category and subcategory per retailer and zipcode', () => {
+        assert.equal(report.items, 5);
+        assert.deepEqual(report.groups.map(g => [g.level, g.subcategory, g.retailer, g.items]), [
+            ['category', null, 'costco', 1],
+            ['category', null, 'safeway', 4],
+            ['subcategory', 'Eggs', 'safeway', 1],
+            ['subcategory', 'Milk', 'costco', 1],
+            ['subcategory', 'Milk', 'safeway', 3],
+        ]);
+    });
+
+    it('computes price statistics and shares', () => {
+        const milk = find({ subcategory: 'Milk', retailer: 'safeway' });
+        assert.equal(milk.price.median, 4);
+        assert.equal(milk.price.mean, 4);
+        assert.equal(milk.on_sale_share, 0.333);
+        assert.equal(milk.promoted_share, 0.333);
+        assert.equal(milk.out_of_stock_share, 0.333);
+        assert.equal(milk.unit_price['fl oz'].median, 0.0313);
+    });
+
+    it('keeps unit prices per unit and stock shares over known stock', () => {
+        const safeway = find({ level: 'category', retailer: 'safeway' });
+        assert.deepEqual(Object.keys(safeway.unit_price), ['fl oz', 'ct']);
+        assert.equal(safeway.out_of_stock_share, 0.333);
+        assert.equal(find({ level: 'category', retailer: 'costco' }).unit_price.ct, undefined);
+    });
+});
+
+describe('renderReportHtml', () => {
+    it('renders a row per group and escapes text', () => {
+        const report = buildCategoryReport([product({ price: 2, category: '<b>Snacks</b>' })]);
+        const html = renderReportHtml(report, { pages_processed: 3, retailers: ['safeway'], zipcodes: ['94105'] });
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /&lt;b&gt;Snacks&lt;\/b&gt;/);
+        assert.match(html, /2\.00 USD/);
+        assert.match(html, /Pages processed: 3/);
+        assert.equal(html.match(/<tr>/g).length, 3);
+    });
+});
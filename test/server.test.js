@@ -0,0 +1,162 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+import { buildScrapeInput, createApiServer, createCatalog } from '../src/server.js';
+
+const record = fields => ({
+    product_id: '1',
+    name: 'Whole Milk',
+    brand: 'Clover',
+    retailer: 'safeway',
+    zipcode: '94105',
+    price: 4.99,
+    currency: 'USD',
+    in_stock: true,
+    timestamp: '2026-01-01T00:00:00.000Z',
+    ...fields,
+});
+
+const RECORDS = [
+    record({}),
+    record({ price: 5.29, timestamp: '2026-01-02T00:00:00.000Z' }),
+    record({ retailer: 'costco', price: 4.49 }),
+    record({ product_id: '2', name: 'Organic Bananas', brand: null, price: 0.79 }),
+    record({ product_id: '3', name: 'Milk Chocolate', zipcode: 'M5V 3L9', currency: 'CAD' }),
+];
+
+describe('createCatalog', () => {
+    const catalog = createCatalog(RECORDS);
+
+    it('keeps the latest record per product and location', () => {
+        assert.equal(catalog.size, 4);
+        const { items } = catalog.search({ q: 'whole', retailer: 'Safeway' });
+        assert.deepEqual(items.map(r => r.price), [5.29]);
+    });
+
+    it('matches every word and filters by retailer and zipcode', () => {
+        assert.deepEqual(catalog.search({ q: 'milk' }).items.map(r => r.product_id), ['3', '1', '1']);
+        assert.deepEqual(catalog.search({ q: 'milk clover', retailer: 'costco' }).items.map(r => r.price), [4.49]);
+        assert.deepEqual(catalog.search({ zipcode: 'm5v3l9' }).items.map(r => r.product_id), ['3']);
+        assert.equal(catalog.search({ q: 'milk', limit: 1, offset: 1 }).items.length, 1);
+    });
+
+    it('lists every observation of a product, oldest first', () => {
+        assert.deepEqual(catalog.observations('1', { retailer: 'safeway' }).map(r => r.price), [4.99, 5.29]);
+        assert.equal(catalog.observations('9').length, 0);
+    });
+});
+
+describe('buildScrapeInput', () => {
+    const base = { startUrl: 'https://www.instacart.com/categories/1', zipcode: '94105', trackHistory: true };
+
+    it('scrapes listing URLs as start URLs with allowed overrides', () => {
+        const input = buildScrapeInput(base, { urls: ['https://www.instacart.com/categories/316-food'], retailers: ['safeway'], proxyConfiguration: {} });
+        assert.deepEqual(input.startUrls, [{ url: 'https://www.instacart.com/categories/316-food' }]);
+        assert.deepEqual(input.watchlist, []);
+        assert.equal(input.startUrl, undefined);
+        assert.deepEqual(input.retailers, ['safeway']);
+        assert.equal(input.proxyConfiguration, undefined);
+        assert.equal(input.trackHistory, true);
+    });
+
+    it('scrapes product pages as a watchlist', () => {
+        const input = buildScrapeInput(base, { urls: ['https://www.instacart.com/products/17270-organic-bananas'] });
+        assert.deepEqual(input.watchlist, ['https://www.instacart.com/products/17270-organic-bananas']);
+        assert.deepEqual(input.startUrls, []);
+    });
+
+    it('rejects bodies without URLs and mixed pages', () => {
+        assert.throws(() => buildScrapeInput(base, {}), { status: 400 });
+        assert.throws(() => buildScrapeInput(base, { urls: ['ftp://x'] }), { status: 400 });
+        assert.throws(() => buildScrapeInput(base, { urls: ['http://169.254.169.254/latest/meta-data'] }), { status: 400 });
+        assert.throws(() => buildScrapeInput(base, { urls: ['https://instacart.com.evil.test/products/1'] }), { status: 400 });
+        assert.deepEqual(buildScrapeInput(base, { urls: ['https://www.instacart.ca/products/1'], zipcode: 'M5V 3L9' }).watchlist, ['https://www.instacart.ca/products/1']);
+        assert.throws(() => buildScrapeInput(base, { urls: ['https://www.instacart.ca/products/1'] }), { status: 400 });
+        assert.throws(() => buildScrapeInput(base, { urls: ['https://www.instacart.com/categories/1'], zipcodes: ['94105', 'M5V 3L9'] }), { status: 400 });
+        assert.throws(() => buildScrapeInput(base, {
+            urls: ['https://www.instacart.com/products/1', 'https://www.instacart.com/categories/1'],
+        }), { status: 400 });
+    });
+});
+
+describe('createApiServer', () => {
+    const scrapes = [];
+    const catalog = createCatalog(RECORDS);
+    const server = createApiServer({
+        catalog,
+        baseInput: { zipcode: '94105' },
+        loadHistory: async () => ({
+            'safeway|94105|1': { price: 5.29, in_stock: true, first_seen: '2026-01-01T00:00:00.000Z', last_seen: '2026-01-02T00:00:00.000Z' },
+            'safeway|94105|10': { price: 1 },
+            'costco|94105|item_555': { price: 4.49 },
+        }),
+        loadIdentity: async () => ({ aliases: { item_555: '1' } }),
+        scrape: async (input) => {
+            scrapes.push(input);
+            return { stats: { total_products_saved: 1 }, products: [record({ product_id: '7', name: 'Eggs' })] };
+        },
+    });
+    let baseUrl;
+
+    before(async () => {
+        await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+    after(async () => {
+        await new Promise((resolve) => { server.close(resolve); });
+    });
+
+    const request = async (path, options) => {
+        const res = await fetch(`${baseUrl}${path}`, options);
+        return { status: res.status, body: await res.json() };
+    };
+
+    it('searches products', async () => {
+        const { status, body } = await request('/products?q=bananas&retailer=safeway&zipcode=94105');
+        assert.equal(status, 200);
+        assert.equal(body.total, 1);
+        assert.equal(body.items[0].product_id, '2');
+    });
+
+    it('returns a product history', async () => {
+        const { status, body } = await request('/products/1/history?retailer=safeway');
+        assert.equal(status, 200);
+        assert.equal(body.name, 'Whole Milk');
+        assert.deepEqual(body.observations.map(o => o.price), [4.99, 5.29]);
+        assert.deepEqual(body.history.map(h => [h.history_key, h.retailer, h.zipcode, h.price]), [['safeway|94105|1', 'safeway', '94105', 5.29]]);
+
+        assert.equal((await request('/products/404/history')).status, 404);
+        assert.equal((await request('/products/%E0%A4%A/history')).status, 400);
+    });
+
+    it('resolves raw and aliased IDs to the product key', async () => {
+        const raw = await request('/products/items_1234-1/history?retailer=safeway');
+        assert.equal(raw.body.product_key, '1');
+        assert.deepEqual(raw.body.observations.map(o => o.price), [4.99, 5.29]);
+
+        const { status, body } = await request('/products/item_555/history?retailer=costco');
+        assert.equal(status, 200);
+        assert.deepEqual(body.observations.map(o => o.price), [4.49]);
+        assert.deepEqual(body.history.map(h => h.history_key), ['costco|94105|item_555']);
+    });
+
+    it('runs on-demand scrapes', async () => {
+        const { status, body } = await request('/scrape', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ urls: ['https://www.instacart.com/categories/316-food'], results_wanted: 5 }),
+        });
+        assert.equal(status, 200);
+        assert.equal(body.products[0].name, 'Eggs');
+        assert.equal(scrapes[0].results_wanted, 5);
+        assert.equal(scrapes[0].zipcode, '94105');
+
+        assert.equal((await request('/scrape', { method: 'POST', body: '{' })).status, 400);
+    });
+
+    it('answers unknown routes and methods', async () => {
+        assert.equal((await request('/nope')).status, 404);
+        assert.equal((await request('/products', { method: 'DELETE' })).status, 405);
+        assert.deepEqual((await request('/')).body, { status: 'ok', products: 4, pending_scrapes: 0 });
+    });
+});
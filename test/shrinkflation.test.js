@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { applyPriceHistory } from '../src/history.js';
+import { applyShrinkflation, buildShrinkflationReport } from '../src/shrinkflation.js';
+
+const NOW = '2026-01-10T00:00:00.000Z';
+const EARLIER = '2026-01-09T00:00:00.000Z';
+
+const previousEntry = (fields) => ({ price: 3.99, in_stock: true, first_seen: EARLIER, last_seen: EARLIER, ...fields });
+
+describe('price history sizes', () => {
+    it('stores the parsed package size', () => {
+        const { entry } = applyPriceHistory({ product_id: '1', price: 3.99, size: '16 oz' }, undefined, NOW);
+        assert.equal(entry.size, '16 oz');
+        assert.equal(entry.quantity, 1);
+        assert.equal(entry.unit, 'lb');
+    });
+
+    it('keeps the previous size when the record has none and skips per-unit sizes', () => {
+        const previous = previousEntry({ size: '16 oz', quantity: 1, unit: 'lb' });
+        assert.equal(applyPriceHistory({ product_id: '1', price: 3.99 }, previous, NOW).entry.size, '16 oz');
+        assert.equal(applyPriceHistory({ product_id: '2', price: 1.99, size: 'per lb' }, undefined, NOW).entry.size, undefined);
+    });
+});
+
+describe('applyShrinkflation', () => {
+    it('flags a smaller package at the same price', () => {
+        const product = { product_id: '1', name: 'Coffee', retailer: 'safeway', zipcode: '94105', price: 3.99, size: '14.5 oz' };
+        const event = applyShrinkflation(product, previousEntry({ size: '16 oz', quantity: 1, unit: 'lb' }), NOW);
+
+        assert.equal(product.shrinkflation, true);
+        assert.equal(product.previous_size, '16 oz');
+        assert.equal(product.size_change_percent, -9.37);
+        assert.equal(product.unit_price_change_percent, 10.34);
+        assert.equal(event.history_key, 'safeway|94105|1');
+        assert.equal(event.previous_price_per_unit, 3.99);
+        assert.equal(event.price_per_unit, 4.4025);
+        assert.equal(event.unit, 'lb');
+    });
+
+    it('flags a smaller package with a higher price across units', () => {
+        const product = { product_id: '1', price: 4.29, size: '14 oz' };
+        assert.ok(applyShrinkflation(product, previousEntry({ size: '1 lb', quantity: 1, unit: 'lb' }), NOW));
+    });
+
+    it('does not flag a price cut, a bigger package or a unit change', () => {
+        const previous = previousEntry({ size: '16 oz', quantity: 1, unit: 'lb' });
+
+        const cheaper = { product_id: '1', price: 3.49, size: '14.5 oz' };
+        assert.equal(applyShrinkflation(cheaper, previous, NOW), null);
+        assert.equal(cheaper.shrinkflation, false);
+        assert.equal(cheaper.size_change_percent, -9.37);
+
+        const bigger = { product_id: '1', price: 3.99, size: '18 oz' };
+        assert.equal(applyShrinkflation(bigger, previous, NOW), null);
+        assert.equal(bigger.size_change_percent, 12.5);
+
+        const counted = { product_id: '1', price: 3.99, size: '12 ct' };
+        assert.equal(applyShrinkflation(counted, previous, NOW), null);
+        assert.equal(counted.size_change_percent, null);
+    });
+
+    it('needs a previous size to compare with', () => {
+        const product = { product_id: '1', price: 3.99, size: '14.5 oz' };
+        assert.equal(applyShrinkflation(product, undefined, NOW), null);
+        assert.equal(product.shrinkflation, false);
+        assert.equal(product.previous_size, null);
+    });
+});
+
+describe('buildShrinkflationReport', () => {
+    it('groups events per retailer, largest unit-price increase first', () => {
+        const report = buildShrinkflationReport([
+            { retailer: 'safeway', product_id: '1', unit_price_change_percent: 5 },
+            { retailer: 'costco', product_id: '2', unit_price_change_percent: 8 },
+            { retailer: 'safeway', product_id: '3', unit_price_change_percent: 12 },
+        ], NOW);
+
+        assert.equal(report.events, 3);
+        assert.deepEqual(report.retailers.map(r => [r.retailer, r.events, r.median_unit_price_change_percent]), [
+            ['safeway', 2, 8.5],
+            ['costco', 1, 8],
+        ]);
+        assert.deepEqual(report.retailers[0].products.map(p => p.product_id), ['3', '1']);
+    });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { addUnitPricing, computeDiscountPercent, computeUnitPrice, parseSize } from '../src/units.js';
+
+describe('parseSize', () => {
+    it('parses simple weights, volumes and counts into canonical units', () => {
+        assert.deepEqual(parseSize('1 lb'), { quantity: 1, unit: 'lb', type: 'weight', per_unit: false });
+        assert.deepEqual(parseSize('12 oz'), { quantity: 0.75, unit: 'lb', type: 'weight', per_unit: false });
+        assert.deepEqual(parseSize('3 ct'), { quantity: 3, unit: 'ct', type: 'count', per_unit: false });
+        assert.deepEqual(parseSize('64 fl oz'), { quantity: 64, unit: 'fl oz', type: 'volume', per_unit: false });
+        assert.equal(parseSize('1 gal').quantity, 128);
+        assert.equal(parseSize('500 g').quantity, 1.1023);
+        assert.equal(parseSize('1 L').quantity, 33.814);
+    });
+
+    it('keeps fl oz distinct from weight oz', () => {
+        assert.equal(parseSize('16 fl. oz.').type, 'volume');
+        assert.equal(parseSize('16 oz').type, 'weight');
+    });
+
+    it('multiplies multipacks', () => {
+        assert.equal(parseSize('6 x 12 fl oz').quantity, 72);
+        assert.equal(parseSize('12 pk 12 fl oz').quantity, 144);
+    });
+
+    it('reads counted packages as their total weight', () => {
+        assert.deepEqual([parseSize('4 ct / 16 oz').quantity, parseSize('4 ct / 16 oz').unit], [1, 'lb']);
+        assert.equal(parseSize('12 count, 24 oz').quantity, 1.5);
+        assert.equal(parseSize('12 ct').quantity, 12);
+    });
+
+    it('handles fractions and dozens', () => {
+        assert.equal(parseSize('1/2 gal').quantity, 64);
+        assert.equal(parseSize('1 1/2 lb').quantity, 1.5);
+        assert.equal(parseSize('1 dozen').quantity, 12);
+    });
+
+    it('recognizes per-unit produce pricing', () => {
+        assert.equal(parseSize('per lb').per_unit, true);
+        assert.equal(parseSize('$2.99 / lb').per_unit, true);
+        assert.equal(parseSize('each').unit, 'ct');
+    });
+
+    it('returns null for unknown sizes', () => {
+        assert.equal(parseSize('family size'), null);
+        assert.equal(parseSize(''), null);
+        assert.equal(parseSize(null), null);
+    });
+});
+
+describe('computeUnitPrice', () => {
+    it('divides the price by the canonical quantity', () => {
+        assert.deepEqual(computeUnitPrice(3, '12 oz'), { price_per_unit: 4, unit: 'lb' });
+        assert.deepEqual(computeUnitPrice(5.99, '3 ct'), { price_per_unit: 1.9967, unit: 'ct' });
+    });
+
+    it('converts per-unit prices to the canonical unit', () => {
+        assert.deepEqual(computeUnitPrice(0.69, 'per lb'), { price_per_unit: 0.69, unit: 'lb' });
+        assert.deepEqual(computeUnitPrice(1, 'per oz'), { price_per_unit: 16, unit: 'lb' });
+    });
+
+    it('keeps the unit when the price is missing', () => {
+        assert.deepEqual(computeUnitPrice(null, '1 lb'), { price_per_unit: null, unit: 'lb' });
+        assert.deepEqual(computeUnitPrice(2, 'bag'), { price_per_unit: null, unit: null });
+    });
+});
+
+describe('computeDiscountPercent', () => {
+    it('computes the discount from the original price', () => {
+        assert.equal(computeDiscountPercent(1.99, 2.49), 20.1);
+        assert.equal(computeDiscountPercent(3, 4), 25);
+    });
+
+    it('returns null when there is no discount', () => {
+        assert.equal(computeDiscountPercent(2.49, 2.49), null);
+        assert.equal(computeDiscountPercent(2.99, 2.49), null);
+        assert.equal(computeDiscountPercent(1.99, null), null);
+    });
+});
+
+describe('addUnitPricing', () => {
+    it('adds price_per_unit, unit and discount_percent to a record', () => {
+        const product = addUnitPricing({ price: 4.5, original_price: 6, size: '6 x 12 fl oz' });
+        assert.equal(product.price_per_unit, 0.0625);
+        assert.equal(product.unit, 'fl oz');
+        assert.equal(product.discount_percent, 25);
+    });
+});
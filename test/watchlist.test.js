@@ -0,0 +1,133 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { log } from 'apify';
+import { load as cheerioLoad } from 'cheerio';
+
+import { detectBlock } from '../src/blocking.js';
+import {
+    buildWatchlistReport,
+    extractWatchedProduct,
+    isProductPageUrl,
+    normalizeWatchlist,
+    parseWatchlistEntry,
+    toWatchResult,
+    WATCH_STATUS,
+    watchUrl,
+} from '../src/watchlist.js';
+
+log.setLevel(log.LEVELS.ERROR);
+
+const ORIGIN = 'https://www.instacart.com';
+
+const jsonLdPage = product => cheerioLoad(`<html><body>
+<script type="application/ld+json">${JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', ...product })}</script>
+</body></html>`);
+
+describe('parseWatchlistEntry', () => {
+    it('reads product URLs, product IDs and item links', () => {
+        assert.deepEqual(parseWatchlistEntry('https://www.instacart.ca/store/loblaws/products/17270-organic-bananas?x=1'), {
+            key: 'product_17270',
+            input: 'https://www.instacart.ca/store/loblaws/products/17270-organic-bananas?x=1',
+            product_id: '17270',
+            legacy_id: null,
+            slug: '17270-organic-bananas',
+            origin: 'https://www.instacart.ca',
+            retailer: 'loblaws',
+        });
+        assert.equal(parseWatchlistEntry(`${ORIGIN}/store/items/item_555`).legacy_id, '555');
+        assert.equal(parseWatchlistEntry(`${ORIGIN}/store/items/item_555`).retailer, null);
+        assert.equal(parseWatchlistEntry('item_555').key, 'item_555');
+        assert.equal(parseWatchlistEntry(' 17270 ').product_id, '17270');
+        assert.equal(parseWatchlistEntry({ product_id: 17270 }).key, 'product_17270');
+        assert.equal(parseWatchlistEntry({ url: `${ORIGIN}/products/17270` }).slug, '17270');
+    });
+
+    it('rejects values that are not products', () => {
+        assert.equal(parseWatchlistEntry(`${ORIGIN}/categories/316-food`), null);
+        assert.equal(parseWatchlistEntry('organic bananas'), null);
+        assert.equal(parseWatchlistEntry(''), null);
+        assert.equal(parseWatchlistEntry(null), null);
+    });
+
+    it('dedupes entries and keeps invalid ones apart', () => {
+        const { entries, invalid } = normalizeWatchlist(['17270', `${ORIGIN}/products/17270-organic-bananas`, 'item_1', 'milk']);
+        assert.deepEqual(entries.map(e => e.key), ['product_17270', 'item_1']);
+        assert.deepEqual(invalid, ['milk']);
+    });
+});
+
+describe('watchUrl', () => {
+    it('builds product pages, scoped to a retailer when given', () => {
+        assert.equal(watchUrl(parseWatchlistEntry('17270-organic-bananas'), { origin: ORIGIN }), `${ORIGIN}/products/17270-organic-bananas`);
+        assert.equal(watchUrl(parseWatchlistEntry('item_555'), { origin: ORIGIN }), `${ORIGIN}/store/items/item_555`);
+        assert.equal(watchUrl(parseWatchlistEntry('item_555'), { origin: ORIGIN, retailer: 'safeway' }), `${ORIGIN}/store/safeway/items/item_555`);
+        assert.equal(
+            watchUrl(parseWatchlistEntry('https://www.instacart.ca/products/7-lait'), { origin: ORIGIN, retailer: 'metro' }),
+            'https://www.instacart.ca/store/metro/products/7-lait',
+        );
+    });
+
+    it('recognizes product pages after redirects', () => {
+        assert.equal(isProductPageUrl(`${ORIGIN}/store/safeway/items/item_555`), true);
+        assert.equal(isProductPageUrl(`${ORIGIN}/store/safeway/storefront`), false);
+    });
+});
+
+describe('extractWatchedProduct', () => {
+    it('takes the product from the Apollo state of its page', () => {
+        const $ = cheerioLoad(readFileSync(new URL('./fixtures/product-detail.html', import.meta.url), 'utf8'));
+        const { product } = extractWatchedProduct($, `${ORIGIN}/products/17270-organic-bananas`, parseWatchlistEntry('17270'));
+        assert.equal(product.product_id, '17270');
+        assert.equal(product.name, 'Organic Bananas');
+        assert.equal(product.extraction_method, 'apollo_graphql');
+    });
+
+    it('falls back to the JSON-LD Product and its offer', () => {
+        const $ = jsonLdPage({
+            name: 'Whole Milk',
+            brand: { '@type': 'Brand', name: 'Clover' },
+            image: ['/images/milk.jpg'],
+            gtin12: '070852000019',
+            offers: { '@type': 'Offer', price: '5.49', priceCurrency: 'usd', availability: 'https://schema.org/OutOfStock' },
+        });
+        const { product } = extractWatchedProduct($, `${ORIGIN}/store/items/item_555`, parseWatchlistEntry('item_555'));
+        assert.equal(product.product_id, '555');
+        assert.equal(product.brand, 'Clover');
+        assert.equal(product.price, 5.49);
+        assert.equal(product.currency, 'USD');
+        assert.equal(product.in_stock, false);
+        assert.equal(product.image_url, `${ORIGIN}/images/milk.jpg`);
+        assert.equal(product.extraction_strategy, 'json_ld');
+    });
+
+    it('returns no product for a page without one', () => {
+        const { product } = extractWatchedProduct(cheerioLoad('<html><body>Not found</body></html>'), `${ORIGIN}/products/1`, parseWatchlistEntry('1'));
+        assert.equal(product, null);
+    });
+
+    it('accepts product pages with only JSON-LD as genuine', () => {
+        assert.equal(detectBlock({ statusCode: 200, $: jsonLdPage({ name: 'Milk' }), label: 'WATCH' }), null);
+    });
+});
+
+describe('buildWatchlistReport', () => {
+    it('counts statuses and lists missing and delisted products', () => {
+        const cell = { url: `${ORIGIN}/products/1`, retailer: 'safeway', zipcode: '94105', checkedAt: '2026-01-01T00:00:00.000Z' };
+        const results = [
+            toWatchResult(parseWatchlistEntry('1'), { ...cell, status: WATCH_STATUS.FOUND, product: { product_id: '1', price: 2.5, in_stock: true } }),
+            toWatchResult(parseWatchlistEntry('2'), { ...cell, status: WATCH_STATUS.DELISTED, reason: 'status_404', httpStatus: 404 }),
+            toWatchResult(parseWatchlistEntry('3'), { ...cell, status: WATCH_STATUS.MISSING, reason: 'not_on_page' }),
+        ];
+        const report = buildWatchlistReport(results, '2026-01-01T00:00:00.000Z');
+
+        assert.equal(report.checked, 3);
+        assert.deepEqual(report.counts, { found: 1, out_of_stock: 0, missing: 1, delisted: 1, failed: 0 });
+        assert.deepEqual(report.not_found.map(r => [r.key, r.status, r.http_status]), [
+            ['product_2', 'delisted', 404],
+            ['product_3', 'missing', null],
+        ]);
+        assert.equal(report.results[0].price, 2.5);
+    });
+});
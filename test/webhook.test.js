@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+
+import { log } from 'apify';
+
+import { DELIVERY_HEADER, postWebhook, SIGNATURE_HEADER, signPayload } from '../src/webhook.js';
+
+log.setLevel(log.LEVELS.ERROR);
+
+/**
+ * Local receiver answering with the queued status codes (then 200) and recording every request
+ */
+function startReceiver() {
+    const receiver = { requests: [], statuses: [] };
+    receiver.server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.writeHead(receiver.statuses.shift() ?? 200);
+            res.end();
+        });
+    });
+    return new Promise((resolve) => {
+        receiver.server.listen(0, '127.0.0.1', () => {
+            receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+            resolve(receiver);
+        });
+    });
+}
+
+describe('postWebhook', () => {
+    let receiver;
+    before(async () => { receiver = await startReceiver(); });
+    after(() => new Promise(resolve => { receiver.server.close(resolve); }));
+
+    it('posts signed JSON', async () => {
+        receiver.requests.length = 0;
+        const payload = { event: 'price_alerts', alerts: [{ product_id: '1' }] };
+        const result = await postWebhook(receiver.url, payload, { secret: 's3cret' });
+
+        assert.deepEqual(result, { delivered: true, attempts: 1, status: 200, error: null });
+        const [request] = receiver.requests;
+        assert.deepEqual(JSON.parse(request.body), payload);
+        assert.equal(request.headers['content-type'], 'application/json');
+        assert.equal(request.headers[SIGNATURE_HEADER.toLowerCase()], signPayload(request.body, 's3cret'));
+    });
+
+    it('retries server errors with the same delivery ID', async () => {
+        receiver.requests.length = 0;
+        receiver.statuses.push(500, 503);
+        const result = await postWebhook(receiver.url, { alerts: [] }, { backoffMs: 10 });
+
+        assert.equal(result.delivered, true);
+        assert.equal(result.attempts, 3);
+        const ids = receiver.requests.map(r => r.headers[DELIVERY_HEADER.toLowerCase()]);
+        assert.equal(new Set(ids).size, 1);
+        assert.equal(receiver.requests[0].headers[SIGNATURE_HEADER.toLowerCase()], undefined);
+    });
+
+    it('gives up on client errors and after the last retry', async () => {
+        receiver.statuses.push(400);
+        assert.deepEqual(
+            await postWebhook(receiver.url, {}, { backoffMs: 10 }),
+            { delivered: false, attempts: 1, status: 400, error: 'HTTP 400' },
+        );
+
+        receiver.statuses.push(500, 500, 500);
+        const result = await postWebhook(receiver.url, {}, { retries: 2, backoffMs: 10 });
+        assert.equal(result.delivered, false);
+        assert.equal(result.attempts, 3);
+        assert.equal(result.status, 500);
+    });
+
+    it('reports network errors', async () => {
+        const result = await postWebhook('http://127.0.0.1:9/hook', {}, { retries: 1, backoffMs: 10 });
+        assert.equal(result.delivered, false);
+        assert.equal(result.status, null);
+        assert.ok(result.error);
+    });
+});